@@ -0,0 +1,141 @@
+/**
+ * Custom element: <seasonal-animation season="winter" quantity="80"></seasonal-animation>
+ * Attributes are options in kebab-case (hue-jitter="10"); changes go through updateOptions()
+ * and removing the element from the page calls destroy()
+ */
+
+// Wrapped like index.js, so a script tag adds defineSeasonalAnimationElement to the page and nothing
+// else. The body isn't indented.
+(function () {
+
+// Works as a CommonJS module and as a plain script after index.js, whose class is then a global.
+// module is checked rather than require, which pages with an AMD loader have too.
+const isModule = typeof module === 'object' && !!module.exports;
+const AnimationClass = isModule ? require('./index.js') : self.SeasonalAnimation;
+
+const ATTRIBUTES = {}; // Attribute name -> option name
+AnimationClass.optionNames().forEach(name => {
+  ATTRIBUTES[name.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())] = name;
+});
+
+// Attribute text as an option value: numbers, true/false/null and JSON arrays and objects are
+// parsed, and a bare attribute (interaction) is true
+function parseAttribute(text) {
+  const value = text.trim();
+  if (value === '' || value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value)) return Number(value);
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return text; // Not JSON after all; the option check will say what's expected
+    }
+  }
+  return text;
+}
+
+/**
+ * Register the element (done automatically when this file is loaded in a browser)
+ * @param {string} [name='seasonal-animation'] - Tag name
+ * @returns {Function|null} The element class, or null without custom element support (e.g. on a server)
+ */
+function defineSeasonalAnimationElement(name = 'seasonal-animation') {
+  if (typeof customElements === 'undefined') return null;
+  if (customElements.get(name)) return customElements.get(name);
+
+  // Defined here rather than at the top level, where HTMLElement doesn't exist during
+  // server-side rendering
+  class SeasonalAnimationElement extends HTMLElement {
+    static get observedAttributes() {
+      return Object.keys(ATTRIBUTES);
+    }
+
+    constructor() {
+      super();
+      this.instance = null;
+      this.applied = null; // Options the current instance has
+      this.extraOptions = {}; // Set through the options property
+    }
+
+    // The running SeasonalAnimation, or null while the element isn't on the page
+    get animation() {
+      return this.instance;
+    }
+
+    // Options that can't be written as attributes (functions, images, elements), merged
+    // under the attributes
+    get options() {
+      return this.extraOptions;
+    }
+
+    set options(value) {
+      this.extraOptions = value || {};
+      this.update();
+    }
+
+    currentOptions() {
+      const options = { ...this.extraOptions };
+      Object.keys(ATTRIBUTES).forEach(attribute => {
+        if (this.hasAttribute(attribute)) {
+          options[ATTRIBUTES[attribute]] = parseAttribute(this.getAttribute(attribute));
+        }
+      });
+      return options;
+    }
+
+    create() {
+      this.applied = this.currentOptions();
+      if (this.applied.mode === 'container' && !this.style.display) {
+        this.style.display = 'block'; // Custom elements are inline, which has no size to fill
+      }
+      this.instance = new AnimationClass({ ...this.applied, container: this.applied.container || this });
+      this.instance.start();
+    }
+
+    update() {
+      if (!this.instance) return;
+      const options = this.currentOptions();
+      const changes = AnimationClass.diffOptions(this.applied, options);
+      if (changes === null) {
+        this.instance.destroy();
+        this.create();
+        return;
+      }
+      this.applied = options;
+      if (Object.keys(changes).length > 0) {
+        this.instance.updateOptions(changes);
+      }
+    }
+
+    connectedCallback() {
+      if (!this.instance) {
+        this.create();
+      }
+    }
+
+    disconnectedCallback() {
+      if (this.instance) {
+        this.instance.destroy();
+        this.instance = null;
+      }
+    }
+
+    attributeChangedCallback() {
+      this.update();
+    }
+  }
+  customElements.define(name, SeasonalAnimationElement);
+  return SeasonalAnimationElement;
+}
+
+defineSeasonalAnimationElement();
+
+if (isModule) {
+  module.exports = { defineSeasonalAnimationElement: defineSeasonalAnimationElement };
+} else {
+  self.defineSeasonalAnimationElement = defineSeasonalAnimationElement;
+}
+
+})();
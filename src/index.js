@@ -1,247 +1,3013 @@
 /**
  * Seasonal Animation Library
- * Creates animated seasonal effects: snow, rain, and falling leaves
+ * Creates animated seasonal effects: snow, rain, falling leaves, blossoms and fireflies
  */
 
+// Everything lives in this function, so loading the file with a script tag (or importScripts())
+// adds SeasonalAnimation to the global scope and nothing else. Its body isn't indented.
+(function () {
+
+// Per-frame speeds below were tuned at 60 fps, so this is the reference frame length (ms)
+const FRAME_DURATION = 1000 / 60;
+
+// Where this script was loaded from, used to find worker.js next to it (classic script tags only)
+const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+// requestAnimationFrame where available (windows and most dedicated workers), else a 60 Hz timer
+function requestFrame(callback) {
+  if (typeof requestAnimationFrame === 'function') {
+    return requestAnimationFrame(callback);
+  }
+  return setTimeout(() => callback(performance.now()), FRAME_DURATION);
+}
+
+function cancelFrame(id) {
+  if (typeof cancelAnimationFrame === 'function') {
+    cancelAnimationFrame(id);
+  } else {
+    clearTimeout(id);
+  }
+}
+
+// Registered effects keyed by season name (see SeasonalAnimation.registerEffect)
+const effects = {};
+
+// Defaults every effect inherits unless it overrides them
+const BASE_EFFECT_DEFAULTS = {
+  color: '#FFFFFF',
+  // Colors picked at random per particle when no color option is set (null: always color)
+  palette: null,
+  minSize: 3,
+  maxSize: 10,
+  minSpeed: 0.5,
+  maxSpeed: 1.5,
+  sway: false,
+  rotationSpeed: 0,
+  opacity: 0.8,
+  // Range opacities are picked from; null = opacity give or take 0.1
+  minOpacity: null,
+  maxOpacity: null,
+  // How the particle responds to wind: heavy particles with little drag barely notice it
+  mass: 1,
+  drag: 0.05,
+  // What happens when it reaches the ground with accumulation enabled:
+  // 'pile' (builds up like snow), 'litter' (rests like leaves) or null (passes through)
+  accumulate: null
+};
+
+// Seedable PRNG (mulberry32) returning floats in [0, 1). String seeds are hashed (FNV-1a).
+function createRandom(seed) {
+  let state = 0;
+  if (typeof seed === 'string') {
+    state = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+      state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+    }
+  } else {
+    state = seed;
+  }
+  state >>>= 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Smooth 2D value noise in [-1, 1]
+function valueNoise(x, y, seed) {
+  const hash = (ix, iy) => {
+    let h = Math.imul(ix, 374761393) + Math.imul(iy, 668265263) + Math.imul(seed, 144665);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+  };
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  // Smoothstep weights so the field has no visible grid
+  const sx = fx * fx * (3 - 2 * fx);
+  const sy = fy * fy * (3 - 2 * fy);
+  const top = hash(ix, iy) + (hash(ix + 1, iy) - hash(ix, iy)) * sx;
+  const bottom = hash(ix, iy + 1) + (hash(ix + 1, iy + 1) - hash(ix, iy + 1)) * sx;
+  return (top + (bottom - top) * sy) * 2 - 1;
+}
+
+// Global wind: a base vector, gusts that build up and die down, and optional smooth
+// variation across the screen. All values are in pixels per reference frame.
+class WindField {
+  constructor(options, random = Math.random) {
+    this.random = random;
+    this.time = 0;
+    this.gusts = [];
+    this.gustX = 0;
+    this.gustY = 0;
+    this.noiseSeed = Math.floor(random() * 65536);
+    this.configure(options);
+  }
+
+  configure(options = {}) {
+    this.x = options.x ?? 0;
+    this.y = options.y ?? 0;
+    this.gustStrength = options.gustStrength ?? 0; // Peak strength of automatic gusts, 0 = none
+    this.gustFrequency = options.gustFrequency ?? 4; // Automatic gusts per minute
+    this.variation = options.variation ?? 0; // Strength of the spatial variation, 0 = uniform
+    this.scale = options.scale ?? 0.004; // Spatial frequency of the variation (per pixel)
+  }
+
+  set(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  // strength: horizontal strength, or an { x, y } vector
+  gust(strength, duration) {
+    const x = typeof strength === 'object' ? (strength.x || 0) : strength;
+    const y = typeof strength === 'object' ? (strength.y || 0) : 0;
+    this.gusts.push({ x: x, y: y, duration: duration, elapsed: 0 });
+  }
+
+  update(dt) {
+    this.time += dt;
+    
+    // Automatic gusts arrive at random and mostly blow along the base wind
+    if (this.gustStrength > 0 && this.random() < (this.gustFrequency / 60000) * dt) {
+      const direction = this.x !== 0 ? Math.sign(this.x) : (this.random() < 0.5 ? -1 : 1);
+      this.gust(direction * this.gustStrength * (0.5 + this.random() * 0.5), 1500 + this.random() * 2500);
+    }
+    
+    this.gustX = 0;
+    this.gustY = 0;
+    const active = [];
+    this.gusts.forEach(gust => {
+      gust.elapsed += dt;
+      if (gust.elapsed >= gust.duration) return;
+      // Smooth build-up and die-down over the gust's lifetime
+      const envelope = Math.pow(Math.sin(Math.PI * gust.elapsed / gust.duration), 2);
+      this.gustX += gust.x * envelope;
+      this.gustY += gust.y * envelope;
+      active.push(gust);
+    });
+    this.gusts = active;
+  }
+
+  // Wind vector at a point on screen
+  at(x, y) {
+    let windX = this.x + this.gustX;
+    let windY = this.y + this.gustY;
+    if (this.variation) {
+      // Let the pattern drift slowly so swirls don't stay in one place
+      const drift = this.time * 0.0001;
+      windX += valueNoise(x * this.scale + drift, y * this.scale, this.noiseSeed) * this.variation;
+      windY += valueNoise(x * this.scale + 31.7, y * this.scale - drift, this.noiseSeed) * this.variation * 0.5;
+    }
+    return { x: windX, y: windY };
+  }
+}
+
+// Elements for a selector, a single element or an array of either
+function resolveElements(target) {
+  if (!target) return [];
+  if (typeof target === 'string') return Array.from(document.querySelectorAll(target));
+  if (Array.isArray(target)) return target.reduce((all, item) => all.concat(resolveElements(item)), []);
+  return [target];
+}
+
+// Element bounds relative to the canvas
+function measureElement(element, origin) {
+  const rect = element.getBoundingClientRect();
+  return {
+    left: rect.left - origin.left,
+    top: rect.top - origin.top,
+    width: rect.width,
+    height: rect.height
+  };
+}
+
+// Minimum simulated time between redraws of the accumulation layer (ms)
+const ACCUMULATION_REDRAW_INTERVAL = 250;
+
+// Settled snow and fallen leaves along the bottom edge and on top of selected elements.
+// Everything is drawn into a cached offscreen canvas that is only redrawn when it changed,
+// so the per-frame cost is a single drawImage.
+class AccumulationLayer {
+  constructor(animation, options = {}) {
+    this.animation = animation;
+    this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 40; // px
+    this.meltRate = options.meltRate !== undefined ? options.meltRate : 0.1; // px per second, 0 = never melts
+    this.selector = options.selector || null; // Elements whose top edge collects snow and leaves
+    this.maxLitter = options.maxLitter !== undefined ? options.maxLitter : 150; // Max resting leaves
+    this.resolution = 4; // Heightmap column width in px
+    
+    this.ground = null;
+    this.surfaces = []; // Ground first, then element tops
+    this.litter = [];
+    this.color = '#FFFFFF';
+    
+    this.canvas = animation.createCanvas(1, 1);
+    this.ctx = this.canvas.getContext('2d');
+    this.dirty = true;
+    this.lastRedraw = -Infinity;
+    this.needsMeasure = false;
+    
+    if (this.selector && typeof window !== 'undefined') {
+      // Element surfaces move when the page scrolls; re-measure lazily on the next draw
+      this.scrollHandler = () => {
+        this.needsMeasure = true;
+      };
+      window.addEventListener('scroll', this.scrollHandler, { passive: true });
+    }
+    
+    this.resize();
+  }
+
+  resize() {
+    const animation = this.animation;
+    this.canvas.width = animation.canvas.width;
+    this.canvas.height = animation.canvas.height;
+    this.ground = this.fitSurface(this.ground, 0, animation.height, animation.width);
+    this.measure();
+  }
+
+  // Position a surface, keeping (and resampling) its heightmap if it already existed
+  fitSurface(surface, left, top, width) {
+    const columns = Math.max(1, Math.ceil(width / this.resolution));
+    if (!surface) {
+      surface = { element: null, heights: new Float32Array(columns) };
+    } else if (surface.heights.length !== columns) {
+      const heights = new Float32Array(columns);
+      for (let i = 0; i < columns; i++) {
+        heights[i] = surface.heights[Math.floor(i * surface.heights.length / columns)];
+      }
+      surface.heights = heights;
+    }
+    surface.left = left;
+    surface.top = top;
+    surface.width = width;
+    return surface;
+  }
+
+  // Re-measure the elements matched by the selector. Without DOM access (worker renderer)
+  // the surfaces come from rects measured on the main thread instead.
+  measure() {
+    const surfaces = [this.ground];
+    const add = (key, rect) => {
+      const existing = this.surfaces.find(surface => surface.element === key);
+      const surface = this.fitSurface(existing, rect.left, rect.top, rect.width);
+      surface.element = key;
+      surfaces.push(surface);
+    };
+    if (this.selector) {
+      const origin = this.animation.canvas.getBoundingClientRect();
+      resolveElements(this.selector).forEach(element => add(element, measureElement(element, origin)));
+    } else if (this.animation.elementRects) {
+      this.animation.elementRects.surfaces.forEach((rect, index) => add(index, rect));
+    }
+    this.surfaces = surfaces;
+    this.needsMeasure = false;
+    // Surfaces moved, so redraw right away rather than waiting for the throttle
+    this.lastRedraw = -Infinity;
+    this.dirty = true;
+  }
+
+  // Settle the particle if it reached a surface this step. mode is the effect's
+  // `accumulate` default: 'pile' (snow) or 'litter' (leaves). Returns true when it settled.
+  collide(particle, mode) {
+    for (let s = 0; s < this.surfaces.length; s++) {
+      const surface = this.surfaces[s];
+      const offset = particle.x - surface.left;
+      if (offset < 0 || offset >= surface.width) continue;
+      
+      const column = Math.floor(offset / this.resolution);
+      const surfaceY = surface.top - surface.heights[column];
+      // Elements only catch particles coming from above; everything below the ground settles
+      const landed = surface === this.ground
+        ? particle.y >= surfaceY
+        : particle.prevY <= surfaceY && particle.y >= surfaceY;
+      if (!landed) continue;
+      
+      if (mode === 'pile') {
+        // Spread the flake over neighbouring columns so piles build up as smooth mounds
+        const radius = Math.max(1, Math.round(particle.size / this.resolution));
+        const amount = particle.size * 0.6;
+        for (let i = -radius; i <= radius; i++) {
+          const c = column + i;
+          if (c < 0 || c >= surface.heights.length) continue;
+          const falloff = 1 - Math.abs(i) / (radius + 1);
+          surface.heights[c] = Math.min(this.maxDepth, surface.heights[c] + amount * falloff);
+        }
+        this.color = particle.color;
+      } else {
+        // Snapshot the leaf where it landed; the particle itself gets recycled
+        this.litter.push({
+          ...particle,
+          surface: surface,
+          offsetX: offset,
+          offsetY: surface.heights[column],
+          life: 1
+        });
+        if (this.litter.length > this.maxLitter) {
+          this.litter.shift();
+        }
+      }
+      this.dirty = true;
+      return true;
+    }
+    return false;
+  }
+
+  update(dt) {
+    if (this.meltRate <= 0) return;
+    const melt = this.meltRate * dt / 1000;
+    
+    this.surfaces.forEach(surface => {
+      const heights = surface.heights;
+      for (let i = 0; i < heights.length; i++) {
+        if (heights[i] > 0) {
+          heights[i] = Math.max(0, heights[i] - melt);
+          this.dirty = true;
+        }
+      }
+    });
+    
+    // Litter decays at the same relative rate as the snow melts
+    const decay = melt / this.maxDepth;
+    this.litter = this.litter.filter(item => {
+      item.life -= decay;
+      return item.life > 0;
+    });
+    if (this.litter.length > 0) {
+      this.dirty = true;
+    }
+  }
+
+  draw(ctx) {
+    if (this.needsMeasure) {
+      this.measure();
+    }
+    if (this.dirty && this.animation.time - this.lastRedraw >= ACCUMULATION_REDRAW_INTERVAL) {
+      this.redraw();
+    }
+    ctx.drawImage(this.canvas, 0, 0, this.animation.width, this.animation.height);
+  }
+
+  redraw() {
+    const ctx = this.ctx;
+    const pixelRatio = this.animation.pixelRatio;
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, this.animation.width, this.animation.height);
+    
+    // Snow piles
+    ctx.fillStyle = this.animation.toRgba(this.color, 0.95);
+    this.surfaces.forEach(surface => {
+      ctx.beginPath();
+      ctx.moveTo(surface.left, surface.top);
+      for (let i = 0; i < surface.heights.length; i++) {
+        ctx.lineTo(surface.left + (i + 0.5) * this.resolution, surface.top - surface.heights[i]);
+      }
+      ctx.lineTo(surface.left + surface.width, surface.top);
+      ctx.closePath();
+      ctx.fill();
+    });
+    
+    // Leaf litter, squashed vertically so it looks like it's lying flat
+    this.animation.drawInto(ctx, () => {
+      this.litter.forEach(item => {
+        const opacity = Math.max(0, Math.min(1, item.opacity));
+        ctx.save();
+        ctx.globalAlpha = Math.min(1, item.life);
+        ctx.translate(item.surface.left + item.offsetX, item.surface.top - item.offsetY);
+        ctx.scale(1, 0.5);
+        ctx.rotate(item.rotation);
+        if (item.shape) {
+          this.animation.drawShape(ctx, item, opacity);
+        } else {
+          effects[item.effect].draw(ctx, item, this.animation.toRgba(item.color, opacity), this.animation);
+        }
+        ctx.restore();
+      });
+    });
+    
+    this.dirty = false;
+    this.lastRedraw = this.animation.time;
+  }
+
+  clear() {
+    this.surfaces.forEach(surface => surface.heights.fill(0));
+    this.litter = [];
+    this.lastRedraw = -Infinity;
+    this.dirty = true;
+  }
+
+  destroy() {
+    if (this.scrollHandler) {
+      window.removeEventListener('scroll', this.scrollHandler);
+      this.scrollHandler = null;
+    }
+  }
+}
+
+// Rotation steps per symmetry turn when drawing from pre-rotated sprites
+const SPRITE_ROTATION_BUCKETS = 8;
+
+// Pre-rendered sprites on offscreen canvases, keyed by whatever makes them unique.
+// The least recently used sprites are dropped once the cache is full. It holds at least
+// maxSize, and more with many particles: a particle can need a sprite per rotation step,
+// and a cache smaller than that would miss on every frame.
+class SpriteCache {
+  constructor(animation, maxSize = 3000) {
+    this.animation = animation;
+    this.maxSize = maxSize;
+    this.sprites = new Map(); // In order of use, least recent first
+  }
+
+  // Returns the sprite for key, rendering it with render(ctx) around the centre of a
+  // size x size (CSS pixels) canvas the first time it's needed
+  get(key, size, render) {
+    let sprite = this.sprites.get(key);
+    if (sprite) {
+      this.sprites.delete(key);
+      this.sprites.set(key, sprite);
+      return sprite;
+    }
+    const pixelRatio = this.animation.pixelRatio;
+    sprite = this.animation.createCanvas(Math.ceil(size * pixelRatio), Math.ceil(size * pixelRatio));
+    const ctx = sprite.getContext('2d');
+    ctx.scale(pixelRatio, pixelRatio);
+    ctx.translate(size / 2, size / 2);
+    this.animation.drawInto(ctx, () => render(ctx));
+    this.sprites.set(key, sprite);
+    const limit = Math.max(this.maxSize, this.animation.particles.length * SPRITE_ROTATION_BUCKETS);
+    while (this.sprites.size > limit) {
+      this.sprites.delete(this.sprites.keys().next().value);
+    }
+    return sprite;
+  }
+
+  clear() {
+    this.sprites.clear();
+  }
+}
+
+// Atlas size for WebGL particle textures (px per side)
+const WEBGL_ATLAS_SIZE = 2048;
+// Largest atlas entry (px per side); bigger particles are drawn from a scaled-up texture
+const WEBGL_MAX_ENTRY_SIZE = 128;
+// Lowest resolution the atlas drops to just to keep room free for looks that appear later
+const WEBGL_MIN_ATLAS_SCALE = 0.25;
+// Floats per particle instance: x, y, rotation, half size, scaleX, atlas rect (4), color (4)
+const WEBGL_INSTANCE_FLOATS = 13;
+
+const WEBGL_VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec4 a_transform;
+attribute float a_scaleX;
+attribute vec4 a_uv;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec2 v_uv;
+varying vec4 v_color;
+void main() {
+  vec2 local = a_corner * vec2(a_transform.w * a_scaleX, a_transform.w);
+  float c = cos(a_transform.z);
+  float s = sin(a_transform.z);
+  vec2 position = a_transform.xy + vec2(local.x * c - local.y * s, local.x * s + local.y * c);
+  vec2 clip = position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_uv = a_uv.xy + (a_corner * 0.5 + 0.5) * a_uv.zw;
+  v_color = vec4(a_color.rgb * a_color.a, a_color.a);
+}`;
+
+const WEBGL_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_texture;
+varying vec2 v_uv;
+varying vec4 v_color;
+void main() {
+  gl_FragColor = texture2D(u_texture, v_uv) * v_color;
+}`;
+
+// Draws particles as instanced, textured quads. Each particle look is rendered once with
+// its effect's 2D draw code into a texture atlas; position, rotation, size and opacity
+// are per-instance attributes, so thousands of particles take a couple of draw calls.
+class WebGLRenderer {
+  // Returns null when the canvas can't provide WebGL with instancing
+  static create(canvas, animation) {
+    const attributes = { alpha: true, premultipliedAlpha: true, antialias: false };
+    let gl = canvas.getContext('webgl2', attributes);
+    let instancing = null;
+    if (gl) {
+      instancing = {
+        divisor: (index, divisor) => gl.vertexAttribDivisor(index, divisor),
+        draw: (count) => gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count)
+      };
+    } else {
+      gl = canvas.getContext('webgl', attributes);
+      const extension = gl && gl.getExtension('ANGLE_instanced_arrays');
+      if (!extension) return null;
+      instancing = {
+        divisor: (index, divisor) => extension.vertexAttribDivisorANGLE(index, divisor),
+        draw: (count) => extension.drawArraysInstancedANGLE(gl.TRIANGLE_STRIP, 0, 4, count)
+      };
+    }
+    try {
+      return new WebGLRenderer(gl, instancing, animation);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  constructor(gl, instancing, animation) {
+    this.gl = gl;
+    this.instancing = instancing;
+    this.animation = animation;
+    this.program = this.createProgram(WEBGL_VERTEX_SHADER, WEBGL_FRAGMENT_SHADER);
+    this.locations = {
+      resolution: gl.getUniformLocation(this.program, 'u_resolution'),
+      texture: gl.getUniformLocation(this.program, 'u_texture'),
+      corner: gl.getAttribLocation(this.program, 'a_corner')
+    };
+    // Per-instance attributes: [location, floats, offset in floats]
+    this.instanceAttributes = [['a_transform', 4, 0], ['a_scaleX', 1, 4], ['a_uv', 4, 5], ['a_color', 4, 9]]
+      .map(([name, size, offset]) => [gl.getAttribLocation(this.program, name), size, offset]);
+
+    // Unit quad shared by every instance
+    this.cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    this.instanceBuffer = gl.createBuffer();
+
+    // Instances are batched by blend mode: normal, then additive ('lighter')
+    this.batches = {
+      normal: { data: new Float32Array(1024 * WEBGL_INSTANCE_FLOATS), count: 0 },
+      lighter: { data: new Float32Array(64 * WEBGL_INSTANCE_FLOATS), count: 0 }
+    };
+
+    // Atlas packed in shelves (rows of entries), rebuilt from scratch when it fills up (see render)
+    this.atlas = animation.createCanvas(WEBGL_ATLAS_SIZE, WEBGL_ATLAS_SIZE);
+    this.atlasCtx = this.atlas.getContext('2d');
+    this.atlasTexture = this.createTexture();
+    this.overlayTexture = this.createTexture();
+    this.overlayCurrent = false; // Whether overlayTexture holds the overlay as last uploaded
+    this.clear();
+
+    gl.enable(gl.BLEND);
+  }
+
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const compile = (type, source) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+      }
+      return shader;
+    };
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+    gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Shader program failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+    return program;
+  }
+
+  createTexture() {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
+
+  upload(texture, source) {
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+  }
+
+  // scale: atlas pixels per device pixel for the entries drawn from now on
+  clear(scale = 1) {
+    this.atlasScale = scale;
+    this.entries = new Map();
+    this.shelfX = 0;
+    this.shelfY = 0;
+    this.shelfHeight = 0;
+    this.atlasFull = false;
+    this.atlasDirty = true;
+    this.atlasCtx.clearRect(0, 0, WEBGL_ATLAS_SIZE, WEBGL_ATLAS_SIZE);
+  }
+
+  resize(width, height) {
+    this.gl.viewport(0, 0, width, height);
+    this.overlayCurrent = false;
+  }
+
+  // Atlas entry for a particle's current look, rendering it on first use.
+  // Returns null for an image shape that hasn't loaded, or when the atlas is full (atlasFull is set).
+  entry(particle, effect) {
+    const webgl = effect.webgl;
+    const sprite = effect.sprite;
+    const shape = particle.shape;
+    let key;
+    if (shape) {
+      // Custom shapes look the same whichever season they fall in
+      if (!isShapeReady(shape)) return null;
+      key = `shape:${shape.id}:${this.animation.shapeTinted(shape) ? particle.color : ''}`;
+    } else {
+      const id = webgl ? webgl.key(particle) : (sprite ? sprite.key(particle) : particle.id); // No description: one texture per particle
+      key = `${particle.effect}:${id}:${particle.color}`;
+    }
+    let entry = this.entries.get(key);
+    if (entry) return entry;
+    if (this.atlasFull) return null;
+
+    // half is in CSS pixels, size in atlas pixels (scaled by the pixel ratio so textures stay sharp,
+    // unless that makes them too big or the atlas is short of room)
+    const extent = shape ? SHAPE_SPRITE_EXTENT : this.extent(particle, effect);
+    const half = Math.ceil(extent) + 1;
+    const scale = Math.min(this.animation.pixelRatio * this.atlasScale, WEBGL_MAX_ENTRY_SIZE / (half * 2));
+    const size = Math.ceil(half * 2 * scale);
+    if (this.shelfX + size > WEBGL_ATLAS_SIZE) {
+      this.shelfX = 0;
+      this.shelfY += this.shelfHeight;
+      this.shelfHeight = 0;
+    }
+    if (this.shelfY + size > WEBGL_ATLAS_SIZE) {
+      this.atlasFull = true;
+      return null;
+    }
+
+    // Draw in the particle's rest pose at full opacity; opacity and pose are applied per instance
+    const pose = webgl && webgl.pose ? { ...particle, ...webgl.pose(particle) } : particle;
+    const ctx = this.atlasCtx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(this.shelfX, this.shelfY, size, size);
+    ctx.clip();
+    ctx.translate(this.shelfX + size / 2, this.shelfY + size / 2);
+    ctx.scale(scale, scale);
+    this.animation.drawInto(ctx, () => {
+      if (shape) {
+        drawShapeInto(ctx, shape, this.animation.toRgba(particle.color, 1), SHAPE_SPRITE_EXTENT, this.animation.shapeTinted(shape));
+      } else {
+        effect.draw(ctx, pose, this.animation.toRgba(particle.color, 1), this.animation);
+      }
+    });
+    ctx.restore();
+
+    entry = {
+      u: this.shelfX / WEBGL_ATLAS_SIZE,
+      v: this.shelfY / WEBGL_ATLAS_SIZE,
+      width: size / WEBGL_ATLAS_SIZE,
+      height: size / WEBGL_ATLAS_SIZE,
+      half: half,
+      extent: extent
+    };
+    this.entries.set(key, entry);
+    this.shelfX += size;
+    this.shelfHeight = Math.max(this.shelfHeight, size);
+    this.atlasDirty = true;
+    return entry;
+  }
+
+  extent(particle, effect) {
+    if (particle.shape) return particle.size;
+    if (effect.webgl) return effect.webgl.extent(particle);
+    if (effect.sprite) return effect.sprite.extent(particle);
+    return particle.size * 2;
+  }
+
+  push(batch, x, y, rotation, half, scaleX, entry, opacity) {
+    if ((batch.count + 1) * WEBGL_INSTANCE_FLOATS > batch.data.length) {
+      const data = new Float32Array(batch.data.length * 2);
+      data.set(batch.data);
+      batch.data = data;
+    }
+    const data = batch.data;
+    let i = batch.count * WEBGL_INSTANCE_FLOATS;
+    data[i++] = x;
+    data[i++] = y;
+    data[i++] = rotation;
+    data[i++] = half;
+    data[i++] = scaleX;
+    data[i++] = entry.u;
+    data[i++] = entry.v;
+    data[i++] = entry.width;
+    data[i++] = entry.height;
+    data[i++] = 1;
+    data[i++] = 1;
+    data[i++] = 1;
+    data[i++] = opacity;
+    batch.count++;
+  }
+
+  // Fill the instance batches. Stops early, with atlasFull set, when a look doesn't fit in the atlas.
+  batch(particles, alpha) {
+    this.batches.normal.count = 0;
+    this.batches.lighter.count = 0;
+    for (let i = 0; i < particles.length; i++) {
+      const particle = particles[i];
+      const effect = effects[particle.effect];
+      const entry = this.entry(particle, effect);
+      if (this.atlasFull) return;
+      if (!entry) continue; // Image still loading
+      const webgl = effect.webgl || {};
+      
+      const x = particle.prevX + (particle.x - particle.prevX) * alpha;
+      const y = particle.prevY + (particle.y - particle.prevY) * alpha;
+      const rotation = webgl.rotation && !particle.shape
+        ? webgl.rotation(particle)
+        : particle.prevRotation + (particle.rotation - particle.prevRotation) * alpha;
+      const half = entry.half * this.extent(particle, effect) / entry.extent;
+      const scaleX = webgl.scaleX ? webgl.scaleX(particle) : 1;
+      let opacity = Math.max(0, Math.min(1, particle.opacity)) * particle.fade;
+      if (webgl.alpha) {
+        opacity *= webgl.alpha(particle);
+      }
+      this.push(webgl.blend === 'lighter' ? this.batches.lighter : this.batches.normal, x, y, rotation, half, scaleX, entry, opacity);
+    }
+  }
+
+  // overlay: 2D canvas with everything drawn outside the GPU path (accumulation, splashes), or null.
+  // It's only uploaded again when overlayChanged says its pixels may have changed.
+  render(particles, alpha, overlay, overlayChanged = true) {
+    const gl = this.gl;
+    this.batch(particles, alpha);
+    if (this.atlasFull) {
+      // Every particle is drawn, so rebuild the atlas with only the looks on screen. While those
+      // fill more than half of it, halve the resolution too, or the next new look would fill it
+      // again and the whole atlas would be redrawn and uploaded every few frames.
+      this.clear(this.atlasScale);
+      this.batch(particles, alpha);
+      while (this.atlasFull || (this.shelfY + this.shelfHeight > WEBGL_ATLAS_SIZE / 2 && this.atlasScale > WEBGL_MIN_ATLAS_SCALE)) {
+        this.clear(this.atlasScale / 2);
+        this.batch(particles, alpha);
+      }
+    }
+
+    // Instances are positioned in CSS pixels
+    const width = this.animation.width;
+    const height = this.animation.height;
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.useProgram(this.program);
+    gl.uniform2f(this.locations.resolution, width, height);
+    gl.uniform1i(this.locations.texture, 0);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    if (overlay) {
+      // One screen-sized instance showing the overlay canvas
+      if (overlayChanged || !this.overlayCurrent) {
+        this.upload(this.overlayTexture, overlay);
+        this.overlayCurrent = true;
+      } else {
+        gl.bindTexture(gl.TEXTURE_2D, this.overlayTexture);
+      }
+      const batch = { data: new Float32Array(WEBGL_INSTANCE_FLOATS), count: 0 };
+      this.push(batch, width / 2, height / 2, 0, height / 2, width / height, { u: 0, v: 0, width: 1, height: 1 }, 1);
+      this.drawBatch(batch);
+    } else {
+      this.overlayCurrent = false;
+    }
+
+    if (this.atlasDirty) {
+      this.upload(this.atlasTexture, this.atlas);
+      this.atlasDirty = false;
+    } else {
+      gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
+    }
+    this.drawBatch(this.batches.normal);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    this.drawBatch(this.batches.lighter);
+  }
+
+  drawBatch(batch) {
+    if (batch.count === 0) return;
+    const gl = this.gl;
+    const stride = WEBGL_INSTANCE_FLOATS * 4;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    const corner = this.locations.corner;
+    gl.enableVertexAttribArray(corner);
+    gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+    this.instancing.divisor(corner, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, batch.data.subarray(0, batch.count * WEBGL_INSTANCE_FLOATS), gl.DYNAMIC_DRAW);
+    this.instanceAttributes.forEach(([location, size, offset]) => {
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset * 4);
+      this.instancing.divisor(location, 1);
+    });
+
+    this.instancing.draw(batch.count);
+  }
+
+  destroy() {
+    const gl = this.gl;
+    gl.deleteBuffer(this.cornerBuffer);
+    gl.deleteBuffer(this.instanceBuffer);
+    gl.deleteTexture(this.atlasTexture);
+    gl.deleteTexture(this.overlayTexture);
+    gl.deleteProgram(this.program);
+    this.entries.clear();
+  }
+}
+
+// Fixed-size pool of short-lived secondary particles (splash droplets, ripples, ...).
+// Dead particles are recycled instead of reallocated.
+class ParticlePool {
+  constructor(size) {
+    this.size = size;
+    this.active = [];
+    this.free = [];
+  }
+
+  // Returns a particle object to fill in, or null when the pool is full
+  acquire() {
+    if (this.active.length >= this.size) return null;
+    const particle = this.free.pop() || {};
+    this.active.push(particle);
+    return particle;
+  }
+
+  update(dt, animation) {
+    const active = this.active;
+    for (let i = active.length - 1; i >= 0; i--) {
+      const particle = active[i];
+      particle.life -= dt;
+      if (particle.life > 0) {
+        particle.kind.update(particle, dt, animation);
+      }
+      if (particle.life <= 0) {
+        // Swap-remove and keep the object for reuse
+        active[i] = active[active.length - 1];
+        active.pop();
+        this.free.push(particle);
+      }
+    }
+  }
+
+  clear() {
+    this.free.push(...this.active);
+    this.active = [];
+  }
+}
+
+// Built-in secondary particle kinds for ParticlePool, used through animation.emit()
+const secondaryKinds = {
+  // Droplet thrown up by an impact, falls back under gravity
+  droplet: {
+    update(particle, dt) {
+      const frames = dt / FRAME_DURATION;
+      particle.vy += 0.25 * frames;
+      particle.x += particle.vx * frames;
+      particle.y += particle.vy * frames;
+    },
+    draw(ctx, particle, animation) {
+      ctx.fillStyle = animation.toRgba(particle.color, particle.opacity * (particle.life / particle.maxLife));
+      ctx.beginPath();
+      ctx.arc(0, 0, particle.size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  },
+  // Puff of powder thrown outwards, slowed by air drag
+  puff: {
+    update(particle, dt) {
+      const frames = dt / FRAME_DURATION;
+      const drag = Math.exp(-0.08 * frames);
+      particle.vx *= drag;
+      particle.vy = particle.vy * drag + 0.05 * frames;
+      particle.x += particle.vx * frames;
+      particle.y += particle.vy * frames;
+    },
+    draw(ctx, particle, animation) {
+      secondaryKinds.droplet.draw(ctx, particle, animation);
+    }
+  },
+  // Flat expanding ring, like a ripple on a puddle seen from the side
+  ripple: {
+    update() {},
+    draw(ctx, particle, animation) {
+      const progress = 1 - particle.life / particle.maxLife;
+      const radius = particle.size * (0.2 + 0.8 * progress);
+      ctx.strokeStyle = animation.toRgba(particle.color, particle.opacity * (1 - progress));
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.ellipse(0, 0, radius, radius * 0.25, 0, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+};
+
+// How long live option changes (speed, angle, color, quantity, season) take to blend in (ms)
+const OPTION_TRANSITION_DURATION = 1000;
+
+// Meteorological seasons as month-day ranges (inclusive; ranges may wrap around the new year)
+const SEASON_PRESETS = {
+  north: [
+    { season: 'spring', from: '03-01', to: '05-31' },
+    { season: 'summer', from: '06-01', to: '08-31' },
+    { season: 'fall', from: '09-01', to: '11-30' },
+    { season: 'winter', from: '12-01', to: '02-29' }
+  ],
+  south: [
+    { season: 'fall', from: '03-01', to: '05-31' },
+    { season: 'winter', from: '06-01', to: '08-31' },
+    { season: 'spring', from: '09-01', to: '11-30' },
+    { season: 'summer', from: '12-01', to: '02-29' }
+  ]
+};
+
+// 'MM-DD' -> MMDD as a number, so dates compare in calendar order
+function parseMonthDay(value) {
+  const match = /^(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (!match || Number(match[1]) < 1 || Number(match[1]) > 12 || Number(match[2]) < 1 || Number(match[2]) > 31) {
+    throw new Error(`Invalid date ${describeValue(value)}, expected 'MM-DD'`);
+  }
+  return Number(match[1]) * 100 + Number(match[2]);
+}
+
+// Throw a descriptive error for an unknown hemisphere or the first malformed schedule rule
+function validateSchedule(hemisphere, schedule) {
+  if (hemisphere !== null && !SEASON_PRESETS[hemisphere]) {
+    throw new Error(`Invalid hemisphere: expected 'north', 'south' or null, got ${describeValue(hemisphere)}`);
+  }
+  if (!Array.isArray(schedule)) {
+    throw new Error(`Invalid schedule: expected an array of rules, got ${describeValue(schedule)}`);
+  }
+  schedule.forEach((rule, index) => {
+    if (!isObject(rule)) {
+      throw new Error(`Invalid schedule rule ${index}: expected an object, got ${describeValue(rule)}`);
+    }
+    if (rule.season !== null && !(typeof rule.season === 'string' && effects[rule.season])) {
+      throw new Error(`Invalid schedule rule ${index}: expected a registered season or null, got ${describeValue(rule.season)}`);
+    }
+    if (typeof rule.when === 'function') return;
+    if (rule.when !== undefined) {
+      throw new Error(`Invalid schedule rule ${index}: when must be a function`);
+    }
+    try {
+      parseMonthDay(rule.from);
+      parseMonthDay(rule.to);
+    } catch (error) {
+      throw new Error(`Invalid schedule rule ${index}: ${error.message} in from and to`);
+    }
+  });
+}
+
+// A schedule rule matches by a when(date) test or a from/to month-day range
+function matchesRule(rule, date) {
+  if (typeof rule.when === 'function') {
+    return rule.when(date);
+  }
+  const day = (date.getMonth() + 1) * 100 + date.getDate();
+  const from = parseMonthDay(rule.from);
+  const to = parseMonthDay(rule.to);
+  return from <= to ? day >= from && day <= to : day >= from || day <= to;
+}
+
+// Quality tiers from lowest to highest. With quality: 'auto' the animation steps between
+// them based on measured frame times.
+const QUALITY_TIERS = {
+  low: { level: 0, quantity: 0.35, snowflakeDetail: 'arms', rainGradient: false, glow: false, blur: false },
+  medium: { level: 1, quantity: 0.65, snowflakeDetail: 'plain', rainGradient: false, glow: true, blur: false },
+  high: { level: 2, quantity: 1, snowflakeDetail: 'full', rainGradient: true, glow: true, blur: true }
+};
+const QUALITY_NAMES = ['low', 'medium', 'high'];
+
+// Arms a snowflake is drawn with: the lowest quality tier caps them at 6
+function snowflakeArms(particle, animation) {
+  const armCount = particle.armCount || 6;
+  return animation.qualitySettings.snowflakeDetail === 'arms' ? Math.min(6, armCount) : armCount;
+}
+
+// Easing curves for transitions, mapping progress 0..1 to 0..1
+const EASINGS = {
+  linear: (t) => t,
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => t * t * (3 - 2 * t)
+};
+
+// CSS named colors, as name:rrggbb
+const NAMED_COLORS = {};
+('aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4,azure:f0ffff,beige:f5f5dc,bisque:ffe4c4,' +
+  'black:000000,blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a,burlywood:deb887,cadetblue:5f9ea0,' +
+  'chartreuse:7fff00,chocolate:d2691e,coral:ff7f50,cornflowerblue:6495ed,cornsilk:fff8dc,crimson:dc143c,cyan:00ffff,' +
+  'darkblue:00008b,darkcyan:008b8b,darkgoldenrod:b8860b,darkgray:a9a9a9,darkgreen:006400,darkgrey:a9a9a9,' +
+  'darkkhaki:bdb76b,darkmagenta:8b008b,darkolivegreen:556b2f,darkorange:ff8c00,darkorchid:9932cc,darkred:8b0000,' +
+  'darksalmon:e9967a,darkseagreen:8fbc8f,darkslateblue:483d8b,darkslategray:2f4f4f,darkslategrey:2f4f4f,' +
+  'darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493,deepskyblue:00bfff,dimgray:696969,dimgrey:696969,' +
+  'dodgerblue:1e90ff,firebrick:b22222,floralwhite:fffaf0,forestgreen:228b22,fuchsia:ff00ff,gainsboro:dcdcdc,' +
+  'ghostwhite:f8f8ff,gold:ffd700,goldenrod:daa520,gray:808080,green:008000,greenyellow:adff2f,grey:808080,' +
+  'honeydew:f0fff0,hotpink:ff69b4,indianred:cd5c5c,indigo:4b0082,ivory:fffff0,khaki:f0e68c,lavender:e6e6fa,' +
+  'lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd,lightblue:add8e6,lightcoral:f08080,lightcyan:e0ffff,' +
+  'lightgoldenrodyellow:fafad2,lightgray:d3d3d3,lightgreen:90ee90,lightgrey:d3d3d3,lightpink:ffb6c1,' +
+  'lightsalmon:ffa07a,lightseagreen:20b2aa,lightskyblue:87cefa,lightslategray:778899,lightslategrey:778899,' +
+  'lightsteelblue:b0c4de,lightyellow:ffffe0,lime:00ff00,limegreen:32cd32,linen:faf0e6,magenta:ff00ff,maroon:800000,' +
+  'mediumaquamarine:66cdaa,mediumblue:0000cd,mediumorchid:ba55d3,mediumpurple:9370db,mediumseagreen:3cb371,' +
+  'mediumslateblue:7b68ee,mediumspringgreen:00fa9a,mediumturquoise:48d1cc,mediumvioletred:c71585,' +
+  'midnightblue:191970,mintcream:f5fffa,mistyrose:ffe4e1,moccasin:ffe4b5,navajowhite:ffdead,navy:000080,' +
+  'oldlace:fdf5e6,olive:808000,olivedrab:6b8e23,orange:ffa500,orangered:ff4500,orchid:da70d6,palegoldenrod:eee8aa,' +
+  'palegreen:98fb98,paleturquoise:afeeee,palevioletred:db7093,papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f,' +
+  'pink:ffc0cb,plum:dda0dd,powderblue:b0e0e6,purple:800080,rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,' +
+  'royalblue:4169e1,saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57,seashell:fff5ee,' +
+  'sienna:a0522d,silver:c0c0c0,skyblue:87ceeb,slateblue:6a5acd,slategray:708090,slategrey:708090,snow:fffafa,' +
+  'springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080,thistle:d8bfd8,tomato:ff6347,turquoise:40e0d0,' +
+  'violet:ee82ee,wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,yellow:ffff00,yellowgreen:9acd32')
+  .split(',').forEach(entry => {
+    const [name, hex] = entry.split(':');
+    NAMED_COLORS[name] = hex;
+  });
+
+// Parsed colors by their CSS text; drawing code looks colors up every frame
+const colorCache = new Map();
+let colorProbe = null;
+
+// Parse a CSS color into { r, g, b, a } (channels 0-255, alpha 0-1), or null if it isn't one.
+// Handles names, #rgb(a), #rrggbb(aa), rgb(a)(), hsl(a)() and hwb() in both comma and space
+// syntax; anything newer (lab(), oklch(), color(), ...) is left to the browser's canvas.
+function parseColor(value) {
+  if (typeof value !== 'string') return null;
+  let color = colorCache.get(value);
+  if (color !== undefined) return color;
+  color = parseColorText(value.trim().toLowerCase());
+  if (colorCache.size > 1000) {
+    colorCache.clear();
+  }
+  colorCache.set(value, color);
+  return color;
+}
+
+function parseColorText(text) {
+  if (text === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (NAMED_COLORS[text]) text = '#' + NAMED_COLORS[text];
+
+  const hex = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits.split('').map(digit => digit + digit).join('');
+    }
+    return {
+      r: parseInt(digits.slice(0, 2), 16),
+      g: parseInt(digits.slice(2, 4), 16),
+      b: parseInt(digits.slice(4, 6), 16),
+      a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+    };
+  }
+
+  const fn = text.match(/^(rgba?|hsla?|hwb)\(([^)]*)\)$/);
+  if (fn) {
+    // 'rgb(1, 2, 3, 0.5)' or 'rgb(1 2 3 / 50%)'
+    const parts = fn[2].split(/\s*[,/]\s*|\s+/).filter(part => part !== '');
+    if (parts.length < 3 || parts.length > 4) return null;
+    const number = (part, percentScale) => {
+      const parsed = parseFloat(part);
+      if (isNaN(parsed)) return NaN;
+      return part.endsWith('%') ? parsed / 100 * percentScale : parsed;
+    };
+    const alpha = parts.length === 4 ? Math.min(1, Math.max(0, number(parts[3], 1))) : 1;
+    let rgb;
+    if (fn[1].startsWith('rgb')) {
+      rgb = parts.slice(0, 3).map(part => number(part, 255));
+    } else {
+      // Saturation, lightness, whiteness and blackness are percentages, with or without the %
+      const hue = parseHue(parts[0]);
+      const first = parseFloat(parts[1]) / 100;
+      const second = parseFloat(parts[2]) / 100;
+      rgb = fn[1] === 'hwb' ? hwbToRgb(hue, first, second) : hslToRgb(hue, first, second);
+    }
+    if (rgb.some(isNaN) || isNaN(alpha)) return null;
+    const [r, g, b] = rgb.map(channel => Math.round(Math.min(255, Math.max(0, channel))));
+    return { r: r, g: g, b: b, a: alpha };
+  }
+
+  return probeColor(text);
+}
+
+// Hue in degrees from '120', '120deg', '0.5turn', '3.14rad' or '200grad'
+function parseHue(part) {
+  const value = parseFloat(part);
+  if (part.endsWith('turn')) return value * 360;
+  if (part.endsWith('grad')) return value * 0.9;
+  if (part.endsWith('rad')) return value * 180 / Math.PI;
+  return value;
+}
+
+// Let a canvas handle colors we don't parse ourselves: it ignores assignments it doesn't
+// understand, and painting a pixel converts any color space to sRGB
+function probeColor(text) {
+  if (!colorProbe) {
+    let canvas = null;
+    if (typeof OffscreenCanvas !== 'undefined') {
+      canvas = new OffscreenCanvas(1, 1);
+    } else if (typeof document !== 'undefined') {
+      canvas = document.createElement('canvas');
+    }
+    colorProbe = canvas && canvas.getContext('2d', { willReadFrequently: true });
+    if (!colorProbe) return null;
+  }
+  // Two different starting values tell an ignored assignment apart from a real one
+  colorProbe.fillStyle = '#000000';
+  colorProbe.fillStyle = text;
+  const first = colorProbe.fillStyle;
+  colorProbe.fillStyle = '#ffffff';
+  colorProbe.fillStyle = text;
+  if (colorProbe.fillStyle !== first) return null;
+  colorProbe.clearRect(0, 0, 1, 1);
+  colorProbe.fillRect(0, 0, 1, 1);
+  const data = colorProbe.getImageData(0, 0, 1, 1).data;
+  return { r: data[0], g: data[1], b: data[2], a: data[3] / 255 };
+}
+
+// h in degrees, s and l 0..1; returns [r, g, b] 0..255
+function hslToRgb(h, s, l) {
+  h = ((h % 360) + 360) % 360;
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+  const m = l - c / 2;
+  const [r, g, b] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x] :
+    h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+  return [(r + m) * 255, (g + m) * 255, (b + m) * 255];
+}
+
+function hwbToRgb(h, w, b) {
+  if (w + b >= 1) {
+    const gray = w / (w + b) * 255;
+    return [gray, gray, gray];
+  }
+  return hslToRgb(h, 1, 0.5).map(channel => channel * (1 - w - b) + w * 255);
+}
+
+// [h (degrees), s, l] from channels 0..255
+function rgbToHsl(r, g, b) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [h * 60, s, l];
+}
+
+// '#rrggbb', or '#rrggbbaa' for translucent colors
+function formatColor(color) {
+  const hex = (value) => Math.round(value).toString(16).padStart(2, '0');
+  const alpha = color.a < 1 ? hex(color.a * 255) : '';
+  return `#${hex(color.r)}${hex(color.g)}${hex(color.b)}${alpha}`;
+}
+
+// Mix two colors, t = 0 gives a and 1 gives b
+function mixColors(a, b, t) {
+  const from = parseColor(a) || parseColor(BASE_EFFECT_DEFAULTS.color);
+  const to = parseColor(b) || parseColor(BASE_EFFECT_DEFAULTS.color);
+  const mix = (key) => from[key] + (to[key] - from[key]) * t;
+  return formatColor({ r: mix('r'), g: mix('g'), b: mix('b'), a: mix('a') });
+}
+
+// Rotate a color's hue by degrees
+function shiftHue(value, degrees) {
+  const color = parseColor(value);
+  if (!color) return value;
+  const [h, s, l] = rgbToHsl(color.r, color.g, color.b);
+  const [r, g, b] = hslToRgb(h + degrees, s, l);
+  return formatColor({ r: r, g: g, b: b, a: color.a });
+}
+
+// Color at t (0..1) along evenly spaced stops
+function sampleGradient(stops, t) {
+  if (stops.length === 1) return stops[0];
+  const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  return mixColors(stops[index], stops[index + 1], position - index);
+}
+
+// Every color a color option refers to (strings, palettes and gradient stops; functions can't be checked)
+function colorsIn(option) {
+  if (typeof option === 'string') return [option];
+  if (Array.isArray(option)) return option;
+  if (option && typeof option === 'object' && Array.isArray(option.gradient)) return option.gradient;
+  return [];
+}
+
+// Custom shapes (the shape option) are rasterised into sprites this many CSS px from centre to
+// edge, and scaled to each particle's size
+const SHAPE_SPRITE_EXTENT = 32;
+
+// Strings that look like SVG path data ('M10 10 L20 20 ...'); any other string is drawn as text
+const SVG_PATH_PATTERN = /^\s*[Mm]\s*[-+.\d]/;
+
+// Things drawImage() accepts: images, canvases, bitmaps and video in browsers, and the Image and
+// Canvas classes of packages like canvas in Node. Anything with a size that isn't a plain object.
+function isImageSource(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype === Object.prototype || prototype === null) return false;
+  return typeof value.width === 'number' && typeof value.height === 'number';
+}
+
+// Bounding box { x, y, width, height } of SVG path data. Curve control points are included,
+// so it can be a little larger than the drawn path, which is fine for fitting it in a sprite.
+function pathBounds(d) {
+  const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+  // Number of values per segment for each command
+  const ARGS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const add = (px, py) => {
+    minX = Math.min(minX, px);
+    minY = Math.min(minY, py);
+    maxX = Math.max(maxX, px);
+    maxY = Math.max(maxY, py);
+  };
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let command = null;
+  let i = 0;
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) {
+      command = tokens[i++];
+    }
+    const lower = command ? command.toLowerCase() : null;
+    if (!lower || !(lower in ARGS)) break;
+    if (lower === 'z') {
+      x = startX;
+      y = startY;
+      command = null;
+      continue;
+    }
+    const values = tokens.slice(i, i + ARGS[lower]).map(Number);
+    if (values.length < ARGS[lower] || values.some(isNaN)) break;
+    i += ARGS[lower];
+    const relative = command !== command.toUpperCase();
+    const ox = relative ? x : 0;
+    const oy = relative ? y : 0;
+    if (lower === 'h') {
+      x = ox + values[0];
+    } else if (lower === 'v') {
+      y = oy + values[0];
+    } else if (lower === 'a') {
+      // The arc's end point, padded by its radii
+      x = ox + values[5];
+      y = oy + values[6];
+      add(x - values[0], y - values[1]);
+      add(x + values[0], y + values[1]);
+    } else {
+      for (let j = 0; j < values.length - 2; j += 2) {
+        add(ox + values[j], oy + values[j + 1]);
+      }
+      x = ox + values[values.length - 2];
+      y = oy + values[values.length - 1];
+    }
+    add(x, y);
+    if (lower === 'm') {
+      startX = x;
+      startY = y;
+      command = relative ? 'l' : 'L'; // Further pairs after a move are lines
+    }
+  }
+  if (minX === Infinity) return { x: 0, y: 0, width: 1, height: 1 };
+  return { x: minX, y: minY, width: Math.max(1e-6, maxX - minX), height: Math.max(1e-6, maxY - minY) };
+}
+
+// Shape ids key the cached sprites, so they're unique across instances and option changes
+let nextShapeId = 0;
+
+// Turn the shape option into a list of { kind: 'image' | 'path' | 'text', ... } descriptions
+function resolveShapes(option) {
+  if (option === null) return [];
+  const list = Array.isArray(option) ? option : [option];
+  return list.map((item) => {
+    let shape;
+    if (typeof item === 'string') {
+      shape = SVG_PATH_PATTERN.test(item) ? { path: item } : { text: item };
+    } else if (item.path || item.text || item.image) {
+      shape = { ...item };
+    } else {
+      shape = { image: item };
+    }
+    shape.id = nextShapeId++;
+    if (shape.path) {
+      shape.kind = 'path';
+      shape.bounds = shape.viewBox
+        ? { x: shape.viewBox[0], y: shape.viewBox[1], width: shape.viewBox[2], height: shape.viewBox[3] }
+        : pathBounds(shape.path);
+    } else if (shape.text) {
+      shape.kind = 'text';
+      shape.font = shape.font || 'sans-serif';
+    } else {
+      shape.kind = 'image';
+    }
+    return shape;
+  });
+}
+
+// Whether an image shape can be drawn yet (images may still be loading)
+function isShapeReady(shape) {
+  if (shape.kind !== 'image') return true;
+  const image = shape.image;
+  if (image.complete === false) return false;
+  return (image.naturalWidth || image.width || 0) > 0;
+}
+
+// Draw a shape filling a square extent px from the origin to each edge. Paths and text are
+// filled with color; images are tinted with it when tint is set.
+function drawShapeInto(ctx, shape, color, extent, tint) {
+  const box = extent * 2;
+  if (shape.kind === 'path') {
+    const bounds = shape.bounds;
+    const scale = box / Math.max(bounds.width, bounds.height);
+    ctx.scale(scale, scale);
+    ctx.translate(-bounds.x - bounds.width / 2, -bounds.y - bounds.height / 2);
+    ctx.fillStyle = color;
+    ctx.fill(new Path2D(shape.path));
+  } else if (shape.kind === 'text') {
+    ctx.font = `${box * 0.8}px ${shape.font}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = color; // Emoji keep their own colors
+    const width = ctx.measureText(shape.text).width;
+    if (width > box) {
+      ctx.scale(box / width, box / width);
+    }
+    ctx.fillText(shape.text, 0, 0);
+  } else {
+    const image = shape.image;
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const scale = box / Math.max(width, height);
+    ctx.drawImage(image, -width * scale / 2, -height * scale / 2, width * scale, height * scale);
+    if (tint) {
+      // Recolor the opaque pixels, keeping the image's alpha
+      ctx.globalCompositeOperation = 'source-atop';
+      ctx.fillStyle = color;
+      ctx.fillRect(-extent, -extent, box, box);
+      ctx.globalCompositeOperation = 'source-over';
+    }
+  }
+}
+
+// Checks for option values: each returns whether a value is acceptable
+const isNumber = (min = -Infinity, max = Infinity) => (value) =>
+  typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+const isInteger = (min) => (value) => isNumber(min)(value) && Math.floor(value) === value;
+const isOneOf = (...values) => (value) => values.indexOf(value) !== -1;
+const isType = (type) => (value) => typeof value === type;
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNullable = (check) => (value) => value === null || check(value);
+const isEither = (...checks) => (value) => checks.some(check => check(value));
+// [min, max] with min <= max
+const isRange = (min, max) => (value) =>
+  Array.isArray(value) && value.length === 2 && value.every(isNumber(min, max)) && value[0] <= value[1];
+const isColorOption = (value) => {
+  if (typeof value === 'function' || value === '') return true; // '' means no color, like null
+  const colors = colorsIn(value);
+  if (colors.length === 0) return value === null;
+  return colors.every(color => parseColor(color) !== null);
+};
+const isShapeOption = (value) => {
+  const isShape = (item) => (typeof item === 'string' && item.trim() !== '') || isImageSource(item) ||
+    (isObject(item) && (typeof item.path === 'string' || typeof item.text === 'string' || isImageSource(item.image)));
+  return Array.isArray(value) ? value.length > 0 && value.every(isShape) : isShape(value);
+};
+const isPathShape = (item) => typeof item === 'string' ? SVG_PATH_PATTERN.test(item) : isObject(item) && typeof item.path === 'string';
+// Per-season overrides of effect defaults, checked field by field in validateOptions()
+const isSeasonDefaults = (value) => isObject(value) && Object.keys(value).every(season => isObject(value[season]));
+// CSS z-index: a whole number, also as text, or 'auto'
+const isZIndex = (value) => isInteger(-Infinity)(value) || (typeof value === 'string' && /^\s*([-+]?\d+|auto)\s*$/.test(value));
+const isColorText = (value) => typeof value === 'string' && parseColor(value) !== null;
+const isAdaptiveQuantity = (value) => isObject(value) &&
+  (value.maxFrameTime === undefined || isNumber(1)(value.maxFrameTime)) &&
+  (value.minScale === undefined || isNumber(0, 1)(value.minScale));
+
+// Checks for the fields every effect has (see BASE_EFFECT_DEFAULTS); fields an effect adds
+// itself are checked against the type of its default
+const EFFECT_DEFAULTS_SCHEMA = {
+  color: { check: isColorText, expected: 'a CSS color' },
+  palette: { check: isNullable((value) => Array.isArray(value) && value.length > 0 && value.every(isColorText)), expected: 'an array of CSS colors or null' },
+  minSize: { check: isNumber(0), expected: 'a number >= 0' },
+  maxSize: { check: isNumber(0), expected: 'a number >= 0' },
+  minSpeed: { check: isNumber(0), expected: 'a number >= 0' },
+  maxSpeed: { check: isNumber(0), expected: 'a number >= 0' },
+  sway: { check: isType('boolean'), expected: 'true or false' },
+  rotationSpeed: { check: isNumber(), expected: 'a number' },
+  opacity: { check: isNumber(0, 1), expected: 'a number from 0 to 1' },
+  minOpacity: { check: isNullable(isNumber(0, 1)), expected: 'a number from 0 to 1 or null' },
+  maxOpacity: { check: isNullable(isNumber(0, 1)), expected: 'a number from 0 to 1 or null' },
+  mass: { check: isNumber(0), expected: 'a number >= 0' },
+  drag: { check: isNumber(0), expected: 'a number >= 0' },
+  accumulate: { check: isOneOf('pile', 'litter', null), expected: "'pile', 'litter' or null" }
+};
+// Fields that make a range; both given means min <= max
+const EFFECT_DEFAULTS_RANGES = [['minSize', 'maxSize'], ['minSpeed', 'maxSpeed'], ['minOpacity', 'maxOpacity']];
+
+// Every option with its default (a function when it has to be worked out per instance),
+// its check and what's expected, for error messages
+const OPTION_SCHEMA = {
+  season: { default: 'winter', check: isType('string'), expected: 'a season name' }, // 'winter', 'rainy', 'fall', 'spring', 'summer' or any registered effect
+  quantity: { default: 50, check: isInteger(0), expected: 'a whole number >= 0' },
+  angle: { default: 0, check: isNumber(), expected: 'a number of degrees' },
+  speed: { default: 1, check: isNumber(0), expected: 'a number >= 0' }, // Multiplier on the season's speeds
+  // Largest particle size in px; the season's size range is scaled to it. null = the season's own sizes
+  size: { default: null, check: isNullable(isNumber(0)), expected: 'a number >= 0 or null' },
+  // null = default colors per season, otherwise a CSS color, an array palette, { gradient } or (particle) => color
+  color: { default: null, check: isColorOption, expected: 'a CSS color, an array of colors, { gradient: [...] } or a function' },
+  hueJitter: { default: 0, check: isNumber(0, 180), expected: 'a number of degrees from 0 to 180' }, // Shift each particle's hue by up to this many degrees either way
+  // Draw particles as an image, SVG path data, a text glyph or emoji, or one of an array of them
+  shape: { default: null, check: isNullable(isShapeOption), expected: 'an image, SVG path data, a text glyph, or an array of them' },
+  // Overrides for every season's defaults (see also seasonDefaults)
+  sizeRange: { default: null, check: isNullable(isRange(0, Infinity)), expected: 'a [min, max] pair of sizes or null' },
+  speedRange: { default: null, check: isNullable(isRange(0, Infinity)), expected: 'a [min, max] pair of speeds or null' },
+  opacityRange: { default: null, check: isNullable(isRange(0, 1)), expected: 'a [min, max] pair between 0 and 1 or null' },
+  sway: { default: null, check: isNullable(isType('boolean')), expected: 'true, false or null' },
+  rotationSpeed: { default: null, check: isNullable(isNumber()), expected: 'a number or null' },
+  trailLength: { default: null, check: isNullable(isNumber(0)), expected: 'a number >= 0 or null' }, // Rain streaks, in drop sizes
+  // { [season]: { any field of the season's defaults } }, applied after the options above
+  seasonDefaults: { default: null, check: isNullable(isSeasonDefaults), expected: 'an object of per-season defaults' },
+  container: { default: null, check: isNullable(isEither(isType('string'), isObject)), expected: 'an element or a selector' }, // Defaults to document.body
+  canvas: { default: null, check: isNullable(isObject), expected: 'a canvas' }, // Draw into this canvas (e.g. an OffscreenCanvas) instead of creating one
+  width: { default: null, check: isNullable(isNumber(0)), expected: 'a number of pixels' }, // Size of a passed-in canvas in px (defaults to its current size)
+  height: { default: null, check: isNullable(isNumber(0)), expected: 'a number of pixels' },
+  renderer: { default: '2d', check: isOneOf('2d', 'webgl', 'worker'), expected: "'2d', 'webgl' or 'worker'" }, // 'webgl' for instanced GPU drawing, 'worker' to run in a Web Worker
+  workerUrl: { default: () => SCRIPT_URL ? new URL('worker.js', SCRIPT_URL).href : null, check: isNullable(isType('string')), expected: 'a URL' },
+  workerScripts: { default: () => [], check: (value) => Array.isArray(value) && value.every(isType('string')), expected: 'an array of URLs' }, // Extra scripts the worker loads, e.g. ones registering custom effects
+  zIndex: { default: 1000, check: isZIndex, expected: "a whole number or 'auto'" },
+  mode: { default: 'viewport', check: isOneOf('viewport', 'container'), expected: "'viewport' or 'container'" }, // 'viewport' covers the window, 'container' fills just the container
+  pixelRatio: { default: null, check: isNullable(isNumber(0.1)), expected: 'a number >= 0.1 or null' }, // Backing store pixels per CSS pixel; defaults to devicePixelRatio
+  maxPixelRatio: { default: 2, check: isNumber(0.1), expected: 'a number >= 0.1' }, // Cap on the pixel ratio, since fill cost grows with its square
+  timeScale: { default: 1, check: isNumber(0), expected: 'a number >= 0' }, // 1 = real time, 0.5 = slow motion, 2 = fast forward
+  physics: { default: 'flutter', check: isOneOf('flutter', 'simple'), expected: "'flutter' or 'simple'" }, // Leaf physics: 'flutter' or the cheaper 'simple'
+  accumulation: { default: false, check: isEither(isType('boolean'), isObject), expected: 'true, false or an object' }, // true or { maxDepth, meltRate, selector, maxLitter }
+  colliders: { default: null, check: isNullable(isEither(isType('string'), isType('object'))), expected: 'a selector, an element or an array of elements' }, // Elements that particles hit
+  splash: { default: () => ({}), check: isEither(isOneOf(false), isObject), expected: 'false or an object' }, // { probability, intensity } or false
+  interaction: { default: false, check: isEither(isType('boolean'), isOneOf('repel', 'attract', 'wake'), isObject), expected: "false, 'repel', 'attract', 'wake' or an object" }, // or { mode, radius, strength, burst }
+  // Several effects in one canvas: [{ season, quantity, speed, minSize, maxSize, blur, opacity, depth, parallax }]
+  layers: { default: null, check: isNullable((value) => Array.isArray(value) && value.every(isObject)), expected: 'an array of layer objects' },
+  parallax: { default: false, check: isOneOf(false, 'scroll', 'pointer'), expected: "false, 'scroll' or 'pointer'" }, // What moves layers with a parallax factor
+  // Policies, each can be turned off
+  reducedMotion: { default: 'gentle', check: isOneOf('gentle', 'static', 'disable', false), expected: "'gentle', 'static', 'disable' or false" },
+  pauseWhenHidden: { default: true, check: isType('boolean'), expected: 'true or false' }, // Pause while the tab is hidden
+  pauseWhenOffscreen: { default: true, check: isType('boolean'), expected: 'true or false' }, // Container mode: pause while scrolled out of view
+  quality: { default: 'auto', check: isOneOf('auto', 'high', 'medium', 'low'), expected: "'auto', 'high', 'medium' or 'low'" },
+  maxFrameTime: { default: 25, check: isNumber(1), expected: 'a number of milliseconds' }, // With quality: 'auto', slower frames lower the quality tier
+  onQualityChange: { default: null, check: isNullable(isType('function')), expected: 'a function' }, // Called with (quality, previousQuality) when the tier changes
+  // The governor's older form: false keeps quality: 'auto' at 'high', { maxFrameTime, minScale } sets
+  // the limit and the lowest fraction of quantity (so the lowest tier) it goes down to
+  adaptiveQuantity: { default: true, check: isEither(isType('boolean'), isAdaptiveQuantity), expected: 'true, false or { maxFrameTime, minScale }' },
+  batterySaver: { default: true, check: isType('boolean'), expected: 'true or false' }, // Halve the quantity on a low, discharging battery
+  // Seed for every random choice the library makes; same seed, size and time = same frame
+  seed: { default: () => Math.floor(Math.random() * 4294967296), check: isEither(isNumber(), isType('string')), expected: 'a number or a string' },
+  sprites: { default: true, check: isType('boolean'), expected: 'true or false' }, // Draw cacheable effects from pre-rendered sprites
+  wind: { default: () => ({}), check: isObject, expected: 'an object' } // { x, y, gustStrength, gustFrequency, variation, scale }
+};
+
+// Fields of a layer, checked like options. Seasons have to be registered before they're used in a layer.
+const LAYER_SCHEMA = {
+  season: { check: (value) => typeof value === 'string' && !!effects[value], expected: 'a registered season' },
+  quantity: { check: isInteger(0), expected: 'a whole number >= 0' },
+  speed: { check: isNumber(0), expected: 'a number >= 0' },
+  minSize: { check: isNumber(0), expected: 'a number >= 0' },
+  maxSize: { check: isNumber(0), expected: 'a number >= 0' },
+  blur: { check: isNumber(0), expected: 'a number >= 0' },
+  opacity: { check: isNumber(0, 1), expected: 'a number from 0 to 1' },
+  depth: { check: isNumber(0), expected: 'a number >= 0' },
+  parallax: { check: isNumber(0), expected: 'a number >= 0' }
+};
+
+// Options that override a field (or two, for ranges) of every season's defaults
+const SEASON_OPTIONS = {
+  sizeRange: ['minSize', 'maxSize'],
+  speedRange: ['minSpeed', 'maxSpeed'],
+  opacityRange: ['minOpacity', 'maxOpacity'],
+  sway: ['sway'],
+  rotationSpeed: ['rotationSpeed'],
+  trailLength: ['trailLength']
+};
+
+function describeValue(value) {
+  if (typeof value === 'string') return `'${value}'`;
+  if (typeof value === 'function') return 'a function';
+  if (Array.isArray(value)) return `[${value.map(describeValue).join(', ')}]`;
+  if (value && typeof value === 'object') return 'an object';
+  return String(value);
+}
+
+// Throw a descriptive error for the first invalid option. Undefined means "use the default".
+function validateOptions(options) {
+  Object.keys(options).forEach(name => {
+    const schema = OPTION_SCHEMA[name];
+    const value = options[name];
+    if (!schema) {
+      throw new Error(`Unknown option '${name}'`);
+    }
+    if (value === undefined) return;
+    if (!schema.check(value)) {
+      throw new Error(`Invalid option '${name}': expected ${schema.expected}, got ${describeValue(value)}`);
+    }
+  });
+  // Paths are drawn with Path2D, which Node only has when a canvas package provides it
+  if (options.shape && typeof Path2D === 'undefined' && [].concat(options.shape).some(isPathShape)) {
+    throw new Error("Invalid option 'shape': SVG path shapes need Path2D, which isn't available here. " +
+      "In Node, set globalThis.Path2D to the Path2D of your canvas package.");
+  }
+  if (options.layers) {
+    options.layers.forEach((layer, index) => {
+      Object.keys(layer).forEach(field => {
+        const schema = LAYER_SCHEMA[field];
+        const value = layer[field];
+        if (!schema) {
+          throw new Error(`Invalid option 'layers[${index}]': unknown field '${field}'`);
+        }
+        if (value !== undefined && !schema.check(value)) {
+          throw new Error(`Invalid option 'layers[${index}].${field}': expected ${schema.expected}, got ${describeValue(value)}`);
+        }
+      });
+    });
+  }
+  const seasonDefaults = options.seasonDefaults;
+  if (seasonDefaults) {
+    Object.keys(seasonDefaults).forEach(season => {
+      // Effects registered later only get their common fields checked
+      const defaults = effects[season] ? effects[season].defaults : null;
+      const overrides = seasonDefaults[season];
+      Object.keys(overrides).forEach(field => {
+        const value = overrides[field];
+        if (defaults && !(field in defaults)) {
+          throw new Error(`Invalid option 'seasonDefaults.${season}': unknown field '${field}'`);
+        }
+        let schema = EFFECT_DEFAULTS_SCHEMA[field];
+        if (!schema && defaults && defaults[field] !== null) {
+          const type = typeof defaults[field];
+          schema = type === 'number' ? { check: isNumber(), expected: 'a number' } : { check: isType(type), expected: `a ${type}` };
+        }
+        if (schema && !schema.check(value)) {
+          throw new Error(`Invalid option 'seasonDefaults.${season}.${field}': expected ${schema.expected}, got ${describeValue(value)}`);
+        }
+      });
+      EFFECT_DEFAULTS_RANGES.forEach(([min, max]) => {
+        if (isNumber()(overrides[min]) && isNumber()(overrides[max]) && overrides[min] > overrides[max]) {
+          throw new Error(`Invalid option 'seasonDefaults.${season}': ${min} is larger than ${max}`);
+        }
+      });
+    });
+  }
+}
+
+// Options with defaults filled in for any that aren't given (or are undefined).
+// With all = false, only the given options are returned.
+function resolveOptions(options, all = true) {
+  const result = {};
+  Object.keys(OPTION_SCHEMA).forEach(name => {
+    if (!all && !(name in options)) return;
+    let value = options[name];
+    if (name === 'color' && value === '') {
+      value = null; // Treated as "no color" for backwards compatibility
+    }
+    if (value === undefined) {
+      const fallback = OPTION_SCHEMA[name].default;
+      value = typeof fallback === 'function' ? fallback() : fallback;
+    }
+    result[name] = value;
+  });
+  return result;
+}
+
+// Options only read when an instance is created, so changing them means creating a new one
+const CREATION_OPTIONS = [
+  'container', 'canvas', 'width', 'height', 'renderer', 'workerUrl', 'workerScripts', 'zIndex', 'mode',
+  'pixelRatio', 'maxPixelRatio', 'seed'
+];
+
+// Whether two option values are the same: arrays and plain objects by content (so a palette
+// written inline in a template counts as unchanged), anything else by identity
+function sameOptionValue(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, index) => sameOptionValue(item, b[index]));
+  }
+  const isPlain = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+  if (isPlain(a) && isPlain(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => key in b && sameOptionValue(a[key], b[key]));
+  }
+  return false;
+}
+
+// Base motion shared by the built-in effects: fall along the configured angle
+function fallAlongAngle(particle, frames) {
+  particle.x += Math.sin(particle.angle) * particle.speed * frames;
+  particle.y += Math.cos(particle.angle) * particle.speed * frames;
+}
+
+// Used when an effect doesn't provide its own update step
+function defaultUpdate(particle, dt, animation) {
+  const frames = dt / FRAME_DURATION;
+  fallAlongAngle(particle, frames);
+  animation.applyWind(particle, dt);
+  particle.rotation += particle.rotationSpeed * frames;
+}
+
+// Canvas contents as PNG: a Blob in browsers, a Buffer with the canvas npm package
+function canvasToPng(canvas) {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type: 'image/png' });
+  if (canvas.toBlob) return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (canvas.toBuffer) return Promise.resolve(canvas.toBuffer('image/png'));
+  return Promise.reject(new Error('This canvas can\'t be encoded as PNG'));
+}
+
+// Reduce RGBA pixels to at most maxColors colors by median cut over a 15-bit histogram.
+// Returns { palette: [[r, g, b], ...], indices }, where index 0 is reserved for
+// transparent pixels (alpha below 128) when transparent is true.
+function quantizeFrame(data, maxColors, transparent) {
+  const TRANSPARENT = 0xFFFF;
+  const counts = new Uint32Array(32768);
+  const sums = new Float64Array(32768 * 3);
+  const keys = new Uint16Array(data.length / 4);
+  for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+    if (transparent && data[i + 3] < 128) {
+      keys[p] = TRANSPARENT;
+      continue;
+    }
+    const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+    keys[p] = key;
+    counts[key]++;
+    sums[key * 3] += data[i];
+    sums[key * 3 + 1] += data[i + 1];
+    sums[key * 3 + 2] += data[i + 2];
+  }
+
+  // Boxes of histogram entries; the one spanning the widest channel range is split next,
+  // at the pixel-weighted median along that channel
+  const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+  const makeBox = (entries) => {
+    let range = 0;
+    let widest = 0;
+    for (let c = 0; c < 3; c++) {
+      let min = 31;
+      let max = 0;
+      entries.forEach(key => {
+        min = Math.min(min, channel(key, c));
+        max = Math.max(max, channel(key, c));
+      });
+      if (max - min > range) {
+        range = max - min;
+        widest = c;
+      }
+    }
+    return { entries: entries, range: range, channel: widest };
+  };
+  const used = [];
+  for (let key = 0; key < 32768; key++) {
+    if (counts[key] > 0) used.push(key);
+  }
+  const boxes = used.length > 0 ? [makeBox(used)] : [];
+  const limit = maxColors - (transparent ? 1 : 0);
+  while (boxes.length < limit) {
+    let best = null;
+    boxes.forEach(box => {
+      if (box.range > 0 && (!best || box.range > best.range)) best = box;
+    });
+    if (!best) break; // Every box is a single color
+    const entries = best.entries.sort((a, b) => channel(a, best.channel) - channel(b, best.channel));
+    const total = entries.reduce((sum, key) => sum + counts[key], 0);
+    let split = 1;
+    let seen = counts[entries[0]];
+    while (split < entries.length - 1 && seen < total / 2) {
+      seen += counts[entries[split]];
+      split++;
+    }
+    boxes.splice(boxes.indexOf(best), 1, makeBox(entries.slice(0, split)), makeBox(entries.slice(split)));
+  }
+
+  // Each box becomes the average of its pixels
+  const offset = transparent ? 1 : 0;
+  const palette = transparent ? [[0, 0, 0]] : [];
+  const lookup = new Uint8Array(32768);
+  boxes.forEach((box, index) => {
+    let count = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    box.entries.forEach(key => {
+      count += counts[key];
+      r += sums[key * 3];
+      g += sums[key * 3 + 1];
+      b += sums[key * 3 + 2];
+      lookup[key] = index + offset;
+    });
+    palette.push([Math.round(r / count), Math.round(g / count), Math.round(b / count)]);
+  });
+  const indices = new Uint8Array(keys.length);
+  for (let p = 0; p < keys.length; p++) {
+    indices[p] = keys[p] === TRANSPARENT ? 0 : lookup[keys[p]];
+  }
+  return { palette: palette, indices: indices };
+}
+
+// GIF variant of LZW: variable-width codes (up to 12 bits), packed least significant bit first
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  const output = [];
+  let buffer = 0;
+  let bits = 0;
+  const emit = (code) => {
+    buffer |= code << bits;
+    bits += codeSize;
+    while (bits >= 8) {
+      output.push(buffer & 255);
+      buffer >>= 8;
+      bits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode < 4096) {
+      table.set(key, nextCode++);
+      if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+    } else {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bits > 0) output.push(buffer & 255);
+  return output;
+}
+
+// Minimal animated GIF writer: one local palette per frame, full-frame images
+class GifEncoder {
+  // loop: times to repeat (0 = forever, false = play once)
+  constructor(width, height, loop = 0) {
+    this.width = width;
+    this.height = height;
+    this.chunks = [];
+    const bytes = [];
+    this.writeString(bytes, 'GIF89a');
+    this.writeShort(bytes, width);
+    this.writeShort(bytes, height);
+    bytes.push(0, 0, 0); // No global palette, background index 0, square pixels
+    if (loop !== false) {
+      bytes.push(0x21, 0xFF, 11);
+      this.writeString(bytes, 'NETSCAPE2.0');
+      bytes.push(3, 1);
+      this.writeShort(bytes, loop);
+      bytes.push(0);
+    }
+    this.chunks.push(Uint8Array.from(bytes));
+  }
+
+  writeString(bytes, text) {
+    for (let i = 0; i < text.length; i++) {
+      bytes.push(text.charCodeAt(i));
+    }
+  }
+
+  writeShort(bytes, value) {
+    bytes.push(value & 255, (value >> 8) & 255);
+  }
+
+  // pixels: RGBA data of the full frame; delay in hundredths of a second
+  addFrame(pixels, delay, transparent = false, maxColors = 256) {
+    const { palette, indices } = quantizeFrame(pixels, maxColors, transparent);
+    let tableBits = 1;
+    while ((1 << tableBits) < palette.length) tableBits++;
+    const bytes = [];
+
+    // Graphic control: delay, and whether index 0 is transparent (then each frame replaces
+    // the last instead of drawing over it)
+    bytes.push(0x21, 0xF9, 4, transparent ? (2 << 2) | 1 : 1 << 2);
+    this.writeShort(bytes, delay);
+    bytes.push(0, 0);
+
+    bytes.push(0x2C);
+    this.writeShort(bytes, 0);
+    this.writeShort(bytes, 0);
+    this.writeShort(bytes, this.width);
+    this.writeShort(bytes, this.height);
+    bytes.push(0x80 | (tableBits - 1)); // Local palette follows
+    for (let i = 0; i < 1 << tableBits; i++) {
+      const color = palette[i] || [0, 0, 0];
+      bytes.push(color[0], color[1], color[2]);
+    }
+
+    const minCodeSize = Math.max(2, tableBits);
+    const data = lzwEncode(indices, minCodeSize);
+    bytes.push(minCodeSize);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      bytes.push(block.length, ...block);
+    }
+    bytes.push(0);
+    this.chunks.push(Uint8Array.from(bytes));
+  }
+
+  // The finished file
+  finish() {
+    this.chunks.push(Uint8Array.of(0x3B));
+    const length = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const file = new Uint8Array(length);
+    let offset = 0;
+    this.chunks.forEach(chunk => {
+      file.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return file;
+  }
+}
+
 class SeasonalAnimation {
   constructor(options = {}) {
-    // Handle color explicitly - allow null, undefined, or a valid color string
-    const color = (options.color !== undefined && options.color !== null && options.color !== '') 
-      ? options.color 
-      : null;
-    
-    this.options = {
-      season: options.season || 'winter', // 'winter', 'rainy', 'fall'
-      quantity: options.quantity || 50,
-      angle: options.angle || 0, // degrees
-      speed: options.speed || 1,
-      size: options.size || 10,
-      color: color, // null = default colors per season, otherwise use provided color
-      container: options.container || document.body,
-      zIndex: options.zIndex || 1000
+    // Checked up front, so a typo fails loudly instead of quietly falling back to a default
+    validateOptions(options);
+    this.options = resolveOptions(options);
+
+    this.particles = [];
+    this.animationId = null;
+    this.container = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.isRunning = false;
+    // Drawing area in CSS pixels; the canvas backing store is this times pixelRatio
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+    this.resizeObserver = null;
+    this.frameCount = 0;
+
+    // Fixed-timestep clock (all values in milliseconds)
+    this.timeStep = FRAME_DURATION;
+    this.maxSubSteps = 5; // Cap on catch-up steps per frame at timeScale 1; it grows with faster time scales
+    this.accumulator = 0;
+    this.lastTimestamp = null;
+    this.time = 0; // Simulated time elapsed
+
+    // All randomness goes through seeded generators so scenes are reproducible
+    this.random = createRandom(this.options.seed);
+    this.shapes = resolveShapes(this.options.shape); // Custom particle shapes, see the shape option
+
+    this.wind = new WindField(this.options.wind, this.random);
+    this.accumulation = null;
+    this.secondary = new ParticlePool(300); // Short-lived particles: splashes, ripples, ...
+    this.sprites = new SpriteCache(this);
+    this.nextParticleId = 0;
+    this.colliders = [];
+    this.needsColliderMeasure = false;
+
+    // Pointer/touch interaction, in canvas coordinates
+    this.interaction = null;
+    this.interactionHandlers = null;
+    this.pointer = { x: 0, y: 0, vx: 0, vy: 0, active: false, lastTime: null };
+
+    this.transition = null; // Season change in progress, see transitionTo()
+    this.schedule = null; // Calendar settings when created with auto()
+    this.listeners = {}; // Event name -> handlers, see on()
+    this.reportedColorFunction = null; // Color function already reported for returning a non-color
+    this.resolvedDefaults = {}; // Season -> effect defaults with this instance's overrides, see defaultsFor()
+
+    // Policies: reasons the loop is paused ('hidden', 'offscreen', 'reducedMotion') and factors
+    // applied on top of the quantity and speed options
+    this.pauseReasons = new Set();
+    this.quantityScales = { reducedMotion: 1, battery: 1, quality: 1 };
+    this.speedScale = 1;
+    this.policyHandlers = null;
+
+    // Current quality tier ('high', 'medium' or 'low') and its settings
+    this.quality = this.options.quality === 'auto' ? 'high' : this.options.quality;
+    this.qualitySettings = QUALITY_TIERS[this.quality];
+    this.quantityScales.quality = this.qualitySettings.quantity;
+    this.frameTime = null; // Smoothed time (ms) spent advancing and drawing a frame, for the quality governor
+    this.frameSamples = 0;
+    this.droppedFrames = 0; // Frames in the current window that took more than one display refresh
+    this.refreshInterval = null; // Shortest frame interval in the last window, roughly the display's refresh
+    this.shortestInterval = Infinity; // The same for the current window
+    this.qualityHeadroom = 0; // Consecutive fast windows, needed before going up a tier
+    this.scheduleTimer = null;
+    this.layers = []; // Resolved layer settings; without `layers` the top-level options form one layer
+
+    // Parallax source position (negated scroll offset or pointer position) and the part already applied
+    this.parallaxSource = { x: 0, y: 0 };
+    this.parallaxApplied = null;
+    this.parallaxHandlers = null;
+
+    this.worker = null; // Worker renderer: the worker owns the canvas and the simulation, this instance forwards to it
+    this.webgl = null; // WebGLRenderer when renderer is 'webgl'
+    this.overlaySplashes = false; // Whether the last WebGL overlay had splashes in it
+    this.overlayRedrawn = null; // Accumulation redraw time the last WebGL overlay showed
+    this.elementRects = null; // Collider/surface rects measured on the main thread, inside a worker
+
+    this.init();
+  }
+
+  init() {
+    // Canvas handed to us (e.g. an OffscreenCanvas inside the worker): no DOM to set up
+    if (this.options.canvas) {
+      this.canvas = this.options.canvas;
+      this.setupContext();
+      const pixelRatio = this.resolvePixelRatio();
+      this.resize(
+        this.options.width || this.canvas.width / pixelRatio,
+        this.options.height || this.canvas.height / pixelRatio,
+        pixelRatio
+      );
+      this.setupAccumulation();
+      this.setupColliders();
+      this.setupInteraction();
+      this.setupParallax();
+      this.createParticles();
+      this.setupPolicies();
+      return;
+    }
+
+    // Create container
+    const container = this.options.container || document.body;
+    this.container = typeof container === 'string' 
+      ? document.querySelector(container)
+      : container;
+
+    if (!this.container) {
+      throw new Error('Container element not found');
+    }
+
+    // Create canvas: fixed over the viewport, or absolutely positioned over the container
+    this.canvas = document.createElement('canvas');
+    if (this.options.mode === 'container') {
+      this.canvas.style.position = 'absolute';
+      if (window.getComputedStyle(this.container).position === 'static') {
+        this.containerPosition = this.container.style.position || '';
+        this.container.style.position = 'relative';
+      }
+    } else {
+      this.canvas.style.position = 'fixed';
+    }
+    this.canvas.style.top = '0';
+    this.canvas.style.left = '0';
+    this.canvas.style.width = '100%';
+    this.canvas.style.height = '100%';
+    this.canvas.style.pointerEvents = 'none';
+    this.canvas.style.zIndex = this.options.zIndex;
+    this.container.appendChild(this.canvas);
+
+    // Handle window (or container) resize
+    const resizeHandler = () => {
+      const size = this.measureSize();
+      if (this.options.mode === 'container') {
+        // A container without a size (display: none, or not laid out yet) pauses the animation
+        // until the ResizeObserver reports one
+        const unsized = size.width === 0 || size.height === 0;
+        this.setPaused('unsized', unsized);
+        if (unsized) return;
+      }
+      const pixelRatio = this.resolvePixelRatio();
+      if (size.width === this.width && size.height === this.height && pixelRatio === this.pixelRatio) return;
+      if (this.worker) {
+        this.width = size.width;
+        this.height = size.height;
+        this.pixelRatio = pixelRatio;
+        this.postElementRects();
+        this.forwardToWorker('handleResize', [size.width, size.height, pixelRatio]);
+        this.fire('resize', this.width, this.height, this.pixelRatio);
+      } else {
+        this.handleResize(size.width, size.height, pixelRatio);
+      }
+    };
+    if (this.options.mode === 'container' && typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(resizeHandler);
+      this.resizeObserver.observe(this.container);
+    }
+    // Still listen on window: devicePixelRatio changes (zoom, moving between screens) come with a resize
+    window.addEventListener('resize', resizeHandler);
+    this.resizeHandler = resizeHandler;
+
+    if (this.options.renderer === 'worker' && this.initWorker()) {
+      return;
+    }
+
+    this.setupContext();
+    
+    // Ensure canvas has dimensions
+    this.resize();
+    
+    this.setupAccumulation();
+    this.setupColliders();
+    this.setupInteraction();
+    this.setupParallax();
+    
+    // Recreate particles after resize to ensure proper dimensions
+    this.createParticles();
+    this.setupPolicies();
+    if (this.width === 0 || this.height === 0) {
+      this.setPaused('unsized', true); // Until the container gets a size, see resizeHandler
+    }
+  }
+
+  // Pick the drawing backend. With WebGL, particles go to the GPU and this.ctx is an
+  // offscreen 2D layer for everything else (accumulation, splashes), composited underneath.
+  setupContext() {
+    if (this.options.renderer === 'webgl') {
+      this.webgl = WebGLRenderer.create(this.canvas, this);
+      if (this.webgl) {
+        this.ctx = this.createCanvas(this.canvas.width, this.canvas.height).getContext('2d');
+        return;
+      }
+    }
+    this.ctx = this.canvas.getContext('2d');
+    if (!this.ctx && this.container) {
+      // A WebGL context without instancing was created, which locks the canvas; start over with a fresh one
+      this.replaceCanvas();
+      this.ctx = this.canvas.getContext('2d');
+    }
+    if (!this.ctx) {
+      // A canvas that was passed in can't be swapped for a fresh one
+      throw new Error(this.options.renderer === 'webgl'
+        ? "WebGL with instancing isn't available, and the canvas can't fall back to 2D once a WebGL context was created on it. Use renderer: '2d' or pass a fresh canvas."
+        : "Couldn't get a 2D context from the canvas");
+    }
+  }
+
+  replaceCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.style.cssText = this.canvas.style.cssText;
+    this.canvas.parentNode.replaceChild(canvas, this.canvas);
+    this.canvas = canvas;
+  }
+
+  // Move simulation and drawing into a Web Worker that owns the canvas. Returns false
+  // (and leaves the canvas untouched) when OffscreenCanvas or workers aren't available.
+  initWorker() {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+        !this.canvas.transferControlToOffscreen || !this.options.workerUrl) {
+      return false;
+    }
+
+    let worker;
+    try {
+      worker = new Worker(this.options.workerUrl);
+    } catch (e) {
+      return false;
+    }
+
+    this.worker = worker;
+    const size = this.measureSize();
+    this.width = size.width;
+    this.height = size.height;
+    this.pixelRatio = this.resolvePixelRatio();
+    const offscreen = this.canvas.transferControlToOffscreen();
+    // The worker has no window to read devicePixelRatio from, so it gets the resolved ratio
+    worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      width: size.width,
+      height: size.height,
+      options: { ...this.workerOptions(this.options), pixelRatio: this.pixelRatio },
+      scripts: this.options.workerScripts.map(src => new URL(src, document.baseURI).href)
+    }, [offscreen]);
+
+    // The worker can't see the page, so measure elements and track the pointer here
+    this.postElementRects();
+    this.setupInteraction();
+    this.setupParallax();
+    this.setupPolicies();
+    if (this.hasTrackedElements()) {
+      this.scrollHandler = () => {
+        if (this.rectsFrame) return;
+        this.rectsFrame = requestFrame(() => {
+          this.rectsFrame = null;
+          this.postElementRects();
+        });
+      };
+      window.addEventListener('scroll', this.scrollHandler, { passive: true });
+    }
+
+    // If the worker fails to load, swap in a fresh canvas and run on the main thread
+    worker.onerror = () => {
+      if (this.workerReady) return;
+      this.fallbackFromWorker();
+    };
+    worker.onmessage = (event) => {
+      if (!event.data) return;
+      if (event.data.type === 'ready') {
+        this.workerReady = true;
+      } else if (event.data.type === 'error') {
+        this.reportError(new Error(event.data.message));
+      } else if (event.data.type === 'qualityChange') {
+        // The governor runs in the worker; mirror its tier here
+        this.quality = event.data.quality;
+        this.qualitySettings = QUALITY_TIERS[event.data.quality];
+        if (this.options.onQualityChange) {
+          this.options.onQualityChange(event.data.quality, event.data.previous);
+        }
+      }
+    };
+    return true;
+  }
+
+  fallbackFromWorker() {
+    this.destroyWorker();
+    this.replaceCanvas();
+    this.ctx = this.canvas.getContext('2d');
+    this.resize();
+    this.setupAccumulation();
+    this.setupColliders();
+    this.setupInteraction();
+    this.setupParallax();
+    this.createParticles();
+    this.setupPolicies();
+    // Already started as far as the caller knows, so run the loop without firing 'start' again
+    if (this.isRunning) {
+      this.frameCount = 0;
+      this.accumulator = 0;
+      this.updateLoop();
+    }
+  }
+
+  destroyWorker() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+    this.workerReady = false;
+    if (this.rectsFrame) {
+      cancelFrame(this.rectsFrame);
+      this.rectsFrame = null;
+    }
+    if (this.scrollHandler) {
+      window.removeEventListener('scroll', this.scrollHandler);
+      this.scrollHandler = null;
+    }
+  }
+
+  // Post a method call to the worker. Returns true when this instance renders in a worker.
+  forwardToWorker(method, args) {
+    if (!this.worker) return false;
+    this.worker.postMessage({ type: 'call', method: method, args: args });
+    return true;
+  }
+
+  // Options the worker can receive: DOM references and functions can't be posted
+  workerOptions(options) {
+    const result = {};
+    Object.keys(options).forEach(key => {
+      if (['container', 'canvas', 'colliders', 'renderer', 'workerUrl', 'workerScripts'].indexOf(key) !== -1) return;
+      if (typeof options[key] === 'function') return;
+      result[key] = options[key];
+    });
+    if (result.shape) {
+      // Image elements can't be posted; ImageBitmaps can
+      const shapes = (Array.isArray(result.shape) ? result.shape : [result.shape]).filter(item => {
+        const image = isImageSource(item) ? item : item.image;
+        return !image || (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap);
+      });
+      result.shape = shapes.length > 0 ? shapes : null;
+    }
+    if (result.accumulation && result.accumulation.selector) {
+      // Element surfaces are measured here and posted as rects
+      result.accumulation = { ...result.accumulation, selector: null };
+    }
+    return result;
+  }
+
+  hasTrackedElements() {
+    const accumulation = this.options.accumulation;
+    return resolveElements(this.options.colliders).length > 0 || !!(accumulation && accumulation.selector);
+  }
+
+  postElementRects() {
+    if (!this.worker) return;
+    const origin = this.canvas.getBoundingClientRect();
+    const accumulation = this.options.accumulation;
+    const measure = (element) => measureElement(element, origin);
+    this.forwardToWorker('setElementRects', [{
+      colliders: resolveElements(this.options.colliders).map(measure),
+      surfaces: accumulation && accumulation.selector ? resolveElements(accumulation.selector).map(measure) : []
+    }]);
+  }
+
+  // Collider and accumulation surface rects measured outside (worker renderer)
+  setElementRects(rects) {
+    this.elementRects = rects;
+    this.colliders = rects.colliders;
+    if (this.accumulation) {
+      this.accumulation.measure();
+    }
+  }
+
+  setPointer(pointer) {
+    Object.assign(this.pointer, pointer);
+  }
+
+  // Size of the area to cover, in CSS pixels
+  measureSize() {
+    if (this.options.mode === 'container') {
+      return { width: this.container.clientWidth, height: this.container.clientHeight };
+    }
+    return {
+      width: window.innerWidth || this.container.clientWidth || 800,
+      height: window.innerHeight || this.container.clientHeight || 600
+    };
+  }
+
+  resolvePixelRatio() {
+    const devicePixelRatio = typeof window !== 'undefined' ? window.devicePixelRatio : 1;
+    return Math.min(this.options.maxPixelRatio, this.options.pixelRatio || devicePixelRatio || 1);
+  }
+
+  // width and height are in CSS pixels; without arguments the container or viewport is measured
+  resize(width, height, pixelRatio) {
+    if (width === undefined) {
+      const size = this.measureSize();
+      width = size.width;
+      height = size.height;
+    }
+    this.width = width;
+    this.height = height;
+    this.pixelRatio = pixelRatio || this.resolvePixelRatio();
+    this.canvas.width = Math.round(width * this.pixelRatio);
+    this.canvas.height = Math.round(height * this.pixelRatio);
+    if (this.webgl) {
+      this.ctx.canvas.width = this.canvas.width;
+      this.ctx.canvas.height = this.canvas.height;
+      this.webgl.resize(this.canvas.width, this.canvas.height);
+    }
+    if (this.accumulation) {
+      this.accumulation.resize();
+    }
+    this.needsColliderMeasure = true;
+  }
+
+  // Resize and move the existing particles proportionally into the new bounds
+  handleResize(width, height, pixelRatio) {
+    const oldWidth = this.width;
+    const oldHeight = this.height;
+    const oldPixelRatio = this.pixelRatio;
+    this.resize(width, height, pixelRatio);
+    
+    if (!oldWidth || !oldHeight) {
+      // Particles created without any room were all placed at the origin; start over
+      this.createParticles();
+    }
+    const scaleX = oldWidth ? this.width / oldWidth : 1;
+    const scaleY = oldHeight ? this.height / oldHeight : 1;
+    this.particles.forEach(particle => {
+      particle.x *= scaleX;
+      particle.y *= scaleY;
+      particle.prevX = particle.x;
+      particle.prevY = particle.y;
+    });
+    
+    // Sprites and textures are rendered at the pixel ratio
+    if (this.pixelRatio !== oldPixelRatio) {
+      this.sprites.clear();
+      if (this.webgl) {
+        this.webgl.clear();
+      }
+    }
+    // Resizing cleared the canvas, and a paused loop won't draw it again
+    if (this.pauseReasons.has('reducedMotion')) {
+      this.drawReducedMotionFrame();
+    } else if (this.isRunning && this.pauseReasons.size > 0) {
+      this.render(this.accumulator / this.timeStep);
+    }
+    this.fire('resize', this.width, this.height, this.pixelRatio);
+  }
+
+  setupAccumulation() {
+    if (this.accumulation) {
+      this.accumulation.destroy();
+      this.accumulation = null;
+    }
+    if (this.options.accumulation) {
+      const options = this.options.accumulation === true ? {} : this.options.accumulation;
+      this.accumulation = new AccumulationLayer(this, options);
+    }
+  }
+
+  setupColliders() {
+    if (this.elementRects) {
+      // Measured outside (worker renderer)
+      this.colliders = this.elementRects.colliders;
+      return;
+    }
+    this.colliders = resolveElements(this.options.colliders).map(element => ({ element: element }));
+    this.measureColliders();
+    
+    if (this.colliders.length > 0 && !this.scrollHandler) {
+      // Colliders move when the page scrolls; re-measure lazily on the next step
+      this.scrollHandler = () => {
+        this.needsColliderMeasure = true;
+      };
+      window.addEventListener('scroll', this.scrollHandler, { passive: true });
+    } else if (this.colliders.length === 0 && this.scrollHandler) {
+      window.removeEventListener('scroll', this.scrollHandler);
+      this.scrollHandler = null;
+    }
+  }
+
+  measureColliders() {
+    this.needsColliderMeasure = false;
+    if (this.colliders.length === 0 || !this.colliders[0].element) return;
+    const origin = this.canvas.getBoundingClientRect();
+    this.colliders.forEach(collider => {
+      Object.assign(collider, measureElement(collider.element, origin));
+    });
+  }
+
+  // Register an element that particles collide with (rain splashes on its top edge)
+  addCollider(element) {
+    const elements = resolveElements(this.options.colliders);
+    if (elements.indexOf(element) !== -1) return;
+    this.options.colliders = elements.concat(element);
+    this.refreshColliders();
+  }
+
+  removeCollider(element) {
+    this.options.colliders = resolveElements(this.options.colliders).filter(item => item !== element);
+    this.refreshColliders();
+  }
+
+  refreshColliders() {
+    if (this.worker) {
+      this.postElementRects();
+    } else {
+      this.setupColliders();
+    }
+  }
+
+  setupInteraction() {
+    this.teardownInteraction();
+    
+    const option = this.options.interaction;
+    if (!option) return;
+    const config = typeof option === 'string' ? { mode: option } : option;
+    this.interaction = {
+      mode: config.mode ?? 'repel', // 'repel', 'attract' or 'wake'
+      radius: config.radius ?? 120, // px
+      strength: config.strength ?? 1,
+      burst: config.burst ?? true // Puff of particles on click/tap
+    };
+    
+    // Listen on window rather than the canvas so clicks still reach the page underneath
+    const pointer = this.pointer;
+    const move = (clientX, clientY, timeStamp) => {
+      const rect = this.canvas.getBoundingClientRect();
+      const x = clientX - rect.left;
+      const y = clientY - rect.top;
+      if (pointer.active && pointer.lastTime !== null) {
+        // Pointer velocity in px per reference frame
+        const elapsed = Math.max(1, timeStamp - pointer.lastTime);
+        pointer.vx = (x - pointer.x) / elapsed * FRAME_DURATION;
+        pointer.vy = (y - pointer.y) / elapsed * FRAME_DURATION;
+      }
+      pointer.x = x;
+      pointer.y = y;
+      pointer.lastTime = timeStamp;
+      pointer.active = true;
+      this.forwardToWorker('setPointer', [pointer]);
+    };
+    const press = (clientX, clientY, timeStamp) => {
+      move(clientX, clientY, timeStamp);
+      if (this.interaction.burst) {
+        this.burst(pointer.x, pointer.y);
+      }
+    };
+    const leave = () => {
+      pointer.active = false;
+      pointer.vx = 0;
+      pointer.vy = 0;
+      this.forwardToWorker('setPointer', [pointer]);
+    };
+    const touchMove = (event) => {
+      const touch = event.touches[0];
+      if (touch) move(touch.clientX, touch.clientY, event.timeStamp);
+    };
+    
+    // Inside a worker the main thread tracks the pointer and posts it (see setPointer)
+    if (typeof window === 'undefined') return;
+    
+    if (typeof window.PointerEvent !== 'undefined') {
+      this.interactionHandlers = {
+        pointermove: (event) => move(event.clientX, event.clientY, event.timeStamp),
+        pointerdown: (event) => press(event.clientX, event.clientY, event.timeStamp),
+        pointerout: (event) => {
+          if (!event.relatedTarget) leave(); // Left the window
+        },
+        // Pointer events stop once a touch starts scrolling the page; touch events keep coming
+        touchmove: touchMove,
+        touchend: leave
+      };
+    } else {
+      this.interactionHandlers = {
+        mousemove: (event) => move(event.clientX, event.clientY, event.timeStamp),
+        mousedown: (event) => press(event.clientX, event.clientY, event.timeStamp),
+        mouseout: (event) => {
+          if (!event.relatedTarget) leave();
+        },
+        touchstart: (event) => {
+          const touch = event.touches[0];
+          if (touch) press(touch.clientX, touch.clientY, event.timeStamp);
+        },
+        touchmove: touchMove,
+        touchend: leave
+      };
+    }
+    Object.keys(this.interactionHandlers).forEach(type => {
+      window.addEventListener(type, this.interactionHandlers[type], { passive: true });
+    });
+  }
+
+  teardownInteraction() {
+    if (this.interactionHandlers) {
+      Object.keys(this.interactionHandlers).forEach(type => {
+        window.removeEventListener(type, this.interactionHandlers[type]);
+      });
+      this.interactionHandlers = null;
+    }
+    this.interaction = null;
+    this.pointer.active = false;
+  }
+
+  // Listen for whatever drives parallax (scroll or pointer position)
+  setupParallax() {
+    this.teardownParallax();
+    const source = this.options.parallax;
+    if (!source || typeof window === 'undefined') return;
+    
+    const update = (x, y) => {
+      this.parallaxSource.x = x;
+      this.parallaxSource.y = y;
+      this.forwardToWorker('setParallaxSource', [x, y]);
     };
+    if (source === 'scroll') {
+      // Scrolling down moves the page content up, and layers with it
+      this.parallaxHandlers = { scroll: () => update(-window.scrollX, -window.scrollY) };
+      update(-window.scrollX || 0, -window.scrollY || 0);
+    } else {
+      // Layers drift away from the pointer
+      const move = (event) => update(-event.clientX, -event.clientY);
+      this.parallaxHandlers = typeof window.PointerEvent !== 'undefined' ? { pointermove: move } : { mousemove: move };
+    }
+    Object.keys(this.parallaxHandlers).forEach(type => {
+      window.addEventListener(type, this.parallaxHandlers[type], { passive: true });
+    });
+  }
+
+  teardownParallax() {
+    if (this.parallaxHandlers) {
+      Object.keys(this.parallaxHandlers).forEach(type => {
+        window.removeEventListener(type, this.parallaxHandlers[type]);
+      });
+      this.parallaxHandlers = null;
+    }
+    this.parallaxApplied = null;
+  }
+
+  setParallaxSource(x, y) {
+    this.parallaxSource.x = x;
+    this.parallaxSource.y = y;
+  }
+
+  // Move particles by how far the parallax source moved since the last step, times their layer's factor
+  applyParallax() {
+    const source = this.parallaxSource;
+    const applied = this.parallaxApplied;
+    this.parallaxApplied = { x: source.x, y: source.y };
+    if (!applied) return;
+    const dx = source.x - applied.x;
+    const dy = source.y - applied.y;
+    if (dx === 0 && dy === 0) return;
+    this.particles.forEach(particle => {
+      particle.x += dx * particle.parallax;
+      particle.y += dy * particle.parallax;
+    });
+  }
+
+  // Push particles near the pointer; impulses go into the wind-driven velocity so drag eases them back
+  applyInteraction(particle, dt) {
+    const pointer = this.pointer;
+    const { mode, radius, strength } = this.interaction;
+    const dx = particle.x - pointer.x;
+    const dy = particle.y - pointer.y;
+    const distSq = dx * dx + dy * dy;
+    if (distSq >= radius * radius || distSq === 0) return;
+    
+    const dist = Math.sqrt(distSq);
+    const falloff = 1 - dist / radius;
+    const force = strength * falloff * (dt / FRAME_DURATION) / particle.mass;
+    
+    if (mode === 'wake') {
+      // Dragged along behind a moving pointer and stirred sideways
+      particle.vx += (pointer.vx * 0.1 - (dy / dist) * Math.abs(pointer.vy) * 0.05) * force;
+      particle.vy += (pointer.vy * 0.1 + (dx / dist) * Math.abs(pointer.vx) * 0.05) * force;
+    } else {
+      const direction = mode === 'attract' ? -1 : 1;
+      particle.vx += (dx / dist) * force * 0.6 * direction;
+      particle.vy += (dy / dist) * force * 0.6 * direction;
+    }
+  }
+
+  // Scatter nearby particles outwards and throw a puff of particles from (x, y) in canvas coordinates
+  burst(x, y) {
+    if (this.forwardToWorker('burst', [x, y])) return;
+    
+    const radius = this.interaction ? this.interaction.radius : 120;
+    const strength = this.interaction ? this.interaction.strength : 1;
+    
+    this.particles.forEach(particle => {
+      const dx = particle.x - x;
+      const dy = particle.y - y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist >= radius || dist === 0) return;
+      const impulse = strength * 4 * (1 - dist / radius) / particle.mass;
+      particle.vx += (dx / dist) * impulse;
+      particle.vy += (dy / dist) * impulse;
+    });
+    
+    const color = this.pickColor({ effect: this.options.season, x: x, y: y, size: 0 });
+    const count = Math.round(12 * strength);
+    for (let i = 0; i < count; i++) {
+      const angle = this.random() * Math.PI * 2;
+      const speed = (1 + this.random() * 3) * strength;
+      this.emit('puff', {
+        x: x,
+        y: y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        size: 1 + this.random() * 2,
+        color: color,
+        opacity: 0.9,
+        life: 500 + this.random() * 400
+      });
+    }
+  }
+
+  // Where the particle's leading edge hit the bottom edge or a collider this step, or null
+  findImpact(particle) {
+    const lead = particle.leadY || 0;
+    const y = particle.y + lead;
+    const prevY = particle.prevY + lead;
+    
+    for (let i = 0; i < this.colliders.length; i++) {
+      const collider = this.colliders[i];
+      if (particle.x >= collider.left && particle.x < collider.left + collider.width &&
+          prevY <= collider.top && y >= collider.top) {
+        return collider.top;
+      }
+    }
+    return y >= this.height ? this.height : null;
+  }
+
+  // Spawn a short-lived secondary particle from the shared pool. kind is a built-in
+  // kind name ('droplet', 'ripple', 'puff') or an { update, draw } object; props sets x, y, vx, vy,
+  // size, color, opacity and life (ms). Returns the particle, or null when the pool is full.
+  emit(kind, props) {
+    if (this.worker) return null; // Secondary particles live in the worker
+    const particle = this.secondary.acquire();
+    if (!particle) return null;
+    Object.assign(particle, {
+      x: 0,
+      y: 0,
+      vx: 0,
+      vy: 0,
+      size: 2,
+      color: '#FFFFFF',
+      opacity: 1,
+      life: 500
+    }, props);
+    particle.kind = typeof kind === 'string' ? secondaryKinds[kind] : kind;
+    particle.maxLife = particle.life;
+    return particle;
+  }
+
+  // Detached canvas for offscreen layers and sprites
+  createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+      if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+      }
+      // Node: another canvas of the kind passed in (e.g. from the canvas package)
+      return new this.canvas.constructor(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  // Run drawing code against another 2D context (e.g. an offscreen layer).
+  // The draw helpers and effect draw hooks all draw into this.ctx.
+  drawInto(ctx, draw) {
+    const mainCtx = this.ctx;
+    this.ctx = ctx;
+    try {
+      draw();
+    } finally {
+      this.ctx = mainCtx;
+    }
+  }
 
+  createParticles() {
     this.particles = [];
-    this.animationId = null;
-    this.container = null;
-    this.canvas = null;
-    this.ctx = null;
-    this.isRunning = false;
-    this.frameCount = 0;
-
-    // Season-specific defaults
-    this.seasonDefaults = {
-      winter: {
-        color: '#FFFFFF',
-        shape: 'circle',
-        minSize: 3,
-        maxSize: 10,
-        minSpeed: 0.3,
-        maxSpeed: 1.5,
-        sway: true,
-        rotationSpeed: 0.01,
-        opacity: 0.8
-      },
-      rainy: {
-        color: '#87CEEB',
-        shape: 'line',
-        minSize: 1.5,
-        maxSize: 3,
-        minSpeed: 4,
-        maxSpeed: 10,
-        sway: false,
-        rotationSpeed: 0,
-        opacity: 0.7
-      },
-      fall: {
-        color: '#FF8C00',
-        shape: 'leaf',
-        minSize: 10,
-        maxSize: 25,
-        minSpeed: 0.8,
-        maxSpeed: 2.5,
-        sway: false,
-        rotationSpeed: 0.02,
-        opacity: 0.9
+    this.transition = null;
+    this.sprites.clear(); // Sprites are per particle, so none of the old ones will be used again
+    if (this.webgl) {
+      this.webgl.clear();
+    }
+    if (!effects[this.options.season]) {
+      this.reportError(new Error(`Invalid season: ${this.options.season}. Using 'winter' as default.`));
+      this.options.season = 'winter';
+    }
+    this.layers = this.resolveLayers();
+    
+    const height = this.height || 600;
+    this.layers.forEach((layer, index) => {
+      for (let i = 0; i < layer.quantity; i++) {
+        this.particles.push(this.createParticle(layer.season, -this.random() * height, index)); // Start from top
       }
-    };
+    });
+    this.sortByDepth();
+  }
 
-    this.init();
+  // Layer settings with defaults filled in. Layers without a season or quantity use the top-level ones.
+  resolveLayers() {
+    const layers = this.options.layers && this.options.layers.length > 0 ? this.options.layers : [{}];
+    return layers.map(layer => {
+      // Fields were checked by validateOptions(), so a 0 here is meant
+      return {
+        season: layer.season ?? this.options.season,
+        quantity: Math.round((layer.quantity ?? this.options.quantity) * this.quantityScale()),
+        speed: layer.speed ?? 1, // Multiplier on top of the speed option
+        minSize: layer.minSize, // Default to the effect's size range
+        maxSize: layer.maxSize,
+        blur: layer.blur ?? 0, // px, 2D renderer only
+        opacity: layer.opacity ?? 1,
+        depth: layer.depth ?? 1, // Scales size and speed; deeper layers draw first
+        parallax: layer.parallax ?? 0 // px moved per px of scroll or pointer movement
+      };
+    });
   }
 
-  init() {
-    // Create container
-    this.container = typeof this.options.container === 'string' 
-      ? document.querySelector(this.options.container)
-      : this.options.container;
+  // Draw order: back (small depth) to front. Sorting is stable, so particles keep their order within a layer.
+  sortByDepth() {
+    if (this.layers.length > 1 || this.transition) {
+      this.particles.sort((a, b) => a.depth - b.depth);
+    }
+  }
 
-    if (!this.container) {
-      throw new Error('Container element not found');
+  // A season's effect defaults with this instance's overrides: size, sizeRange and the other
+  // SEASON_OPTIONS, then seasonDefaults[season]. Layers can still override sizes on top.
+  defaultsFor(season) {
+    let defaults = this.resolvedDefaults[season];
+    if (defaults) return defaults;
+    
+    const options = this.options;
+    defaults = { ...effects[season].defaults };
+    if (options.size !== null) {
+      // Keep the season's proportions, with its largest particles at `size`
+      defaults.minSize = defaults.maxSize ? defaults.minSize / defaults.maxSize * options.size : options.size;
+      defaults.maxSize = options.size;
+    }
+    Object.keys(SEASON_OPTIONS).forEach(name => {
+      const value = options[name];
+      if (value === null) return;
+      const fields = SEASON_OPTIONS[name];
+      if (fields.length === 2) {
+        defaults[fields[0]] = value[0];
+        defaults[fields[1]] = value[1];
+      } else {
+        defaults[fields[0]] = value;
+      }
+    });
+    if (options.seasonDefaults && options.seasonDefaults[season]) {
+      Object.assign(defaults, options.seasonDefaults[season]);
+    }
+    if (defaults.minOpacity === null) {
+      defaults.minOpacity = defaults.opacity - 0.1;
     }
+    if (defaults.maxOpacity === null) {
+      defaults.maxOpacity = defaults.opacity + 0.1;
+    }
+    this.resolvedDefaults[season] = defaults;
+    return defaults;
+  }
 
-    // Create canvas
-    this.canvas = document.createElement('canvas');
-    this.canvas.style.position = 'fixed';
-    this.canvas.style.top = '0';
-    this.canvas.style.left = '0';
-    this.canvas.style.width = '100%';
-    this.canvas.style.height = '100%';
-    this.canvas.style.pointerEvents = 'none';
-    this.canvas.style.zIndex = this.options.zIndex;
-    this.container.appendChild(this.canvas);
+  // Create one particle of the given season and layer at a random x and the given y
+  createParticle(season, y, layerIndex = 0) {
+    const effect = effects[season];
+    const defaults = this.defaultsFor(season);
+    const layer = this.layers[layerIndex];
+    const angleRad = (this.options.angle * Math.PI) / 180;
+    const width = this.width || 800;
 
-    this.ctx = this.canvas.getContext('2d');
-    
-    // Ensure canvas has dimensions
-    this.resize();
-    
-    // Recreate particles after resize to ensure proper dimensions
-    this.createParticles();
+    const minSize = layer.minSize !== undefined ? layer.minSize : defaults.minSize;
+    const maxSize = layer.maxSize !== undefined ? layer.maxSize : defaults.maxSize;
+    const size = (minSize + this.random() * (maxSize - minSize)) * layer.depth;
+    const baseSpeed = (defaults.minSpeed + this.random() * (defaults.maxSpeed - defaults.minSpeed)) * this.options.speed * this.speedScale * layer.speed * layer.depth;
     
-    // Handle window resize
-    const resizeHandler = () => {
-      this.resize();
-      this.createParticles();
+    const x = this.random() * width;
+    const rotation = defaults.rotationSpeed ? this.random() * Math.PI * 2 : 0; // Non-rotating effects stay upright
+    const particle = {
+      id: this.nextParticleId++,
+      effect: season,
+      x: x,
+      y: y,
+      // Previous step's position, used to interpolate between fixed steps when drawing
+      prevX: x,
+      prevY: y,
+      size: size,
+      speed: baseSpeed,
+      angle: angleRad,
+      rotation: rotation,
+      prevRotation: rotation,
+      rotationSpeed: defaults.rotationSpeed * (0.5 + this.random()), // Vary rotation speed
+      swayAmount: defaults.sway ? (this.random() * 1.5 + 0.5) : 0,
+      swaySpeed: defaults.sway ? (this.random() * 0.015 + 0.005) : 0,
+      swayOffset: this.random() * Math.PI * 2,
+      color: null, // Picked below, once the particle can be passed to a color function
+      shape: this.shapes.length > 0 ? this.shapes[Math.floor(this.random() * this.shapes.length)] : null,
+      opacity: (defaults.minOpacity + this.random() * (defaults.maxOpacity - defaults.minOpacity)) * layer.opacity, // Vary opacity
+      // Physics properties
+      windX: defaults.sway ? (this.random() - 0.5) * 0.3 : 0, // Horizontal wind component
+      turbulence: defaults.sway ? this.random() * 0.1 : 0, // Random turbulence
+      vx: 0, // Wind-driven velocity
+      vy: 0,
+      mass: defaults.mass * (0.75 + this.random() * 0.5),
+      // For leaves: flip around the long axis (pseudo-3D)
+      rotationX: 0,
+      rotationXSpeed: 0,
+      // Fading in or out after a live option change: opacity multiplier and its change per ms
+      fade: 1,
+      fadeRate: 0,
+      // Speed, angle and color being eased towards new option values
+      easing: null,
+      // Left over from a previous season: fades out and isn't respawned
+      retired: false,
+      // Layer it belongs to, and that layer's look (kept on the particle so it outlives a layer change)
+      layer: layerIndex,
+      depth: layer.depth,
+      blur: layer.blur,
+      parallax: layer.parallax
     };
-    window.addEventListener('resize', resizeHandler);
-    this.resizeHandler = resizeHandler;
+
+    particle.color = this.pickColor(particle);
+
+    // Let the effect add its own properties (shape variations, trails, ...)
+    if (effect.spawn) {
+      effect.spawn(particle, this);
+    }
+    return particle;
   }
 
-  resize() {
-    const width = window.innerWidth || this.container.clientWidth || 800;
-    const height = window.innerHeight || this.container.clientHeight || 600;
-    this.canvas.width = width;
-    this.canvas.height = height;
+  // Fade particles out over roughly `duration` ms; staggered so they don't all vanish at once
+  retireParticles(particles, duration) {
+    particles.forEach(particle => {
+      particle.fadeRate = -1 / (duration * (0.5 + this.random()));
+    });
   }
 
-  createParticles() {
-    this.particles = [];
-    const defaults = this.seasonDefaults[this.options.season];
-    if (!defaults) {
-      console.error(`Invalid season: ${this.options.season}. Using 'winter' as default.`);
-      this.options.season = 'winter';
-      return this.createParticles();
-    }
-    
-    const angleRad = (this.options.angle * Math.PI) / 180;
-    const width = this.canvas.width || window.innerWidth || 800;
-    const height = this.canvas.height || window.innerHeight || 600;
+  // Add or retire particles until each layer has its `quantity` in play
+  adjustQuantity() {
+    const height = this.height || 600;
+    this.layers.forEach((layer, index) => {
+      const active = this.particles.filter(particle => particle.layer === index && !particle.retired && particle.fadeRate >= 0);
+      const difference = layer.quantity - active.length;
+      if (difference < 0) {
+        this.retireParticles(active.slice(difference), OPTION_TRANSITION_DURATION);
+      } else {
+        // New ones come in from above the top edge, spread out so they arrive over time
+        for (let i = 0; i < difference; i++) {
+          const particle = this.createParticle(layer.season, -this.random() * height, index);
+          particle.fade = 0;
+          particle.fadeRate = 1 / OPTION_TRANSITION_DURATION;
+          this.particles.push(particle);
+        }
+      }
+    });
+    this.sortByDepth();
+  }
 
-    for (let i = 0; i < this.options.quantity; i++) {
-      const size = defaults.minSize + Math.random() * (defaults.maxSize - defaults.minSize);
-      const baseSpeed = (defaults.minSpeed + Math.random() * (defaults.maxSpeed - defaults.minSpeed)) * this.options.speed;
-      
-      const particle = {
-        x: Math.random() * width,
-        y: -Math.random() * height, // Start from top
-        size: size,
-        speed: baseSpeed,
-        angle: angleRad,
-        rotation: Math.random() * Math.PI * 2,
-        rotationSpeed: defaults.rotationSpeed * (0.5 + Math.random()), // Vary rotation speed
-        swayAmount: defaults.sway ? (Math.random() * 1.5 + 0.5) : 0,
-        swaySpeed: defaults.sway ? (Math.random() * 0.015 + 0.005) : 0,
-        swayOffset: Math.random() * Math.PI * 2,
-        color: (this.options.color !== null && this.options.color !== undefined) ? this.options.color : defaults.color,
-        shape: defaults.shape,
-        opacity: defaults.opacity + (Math.random() - 0.5) * 0.2, // Vary opacity
-        // Physics properties
-        windX: defaults.sway ? (Math.random() - 0.5) * 0.3 : 0, // Horizontal wind component
-        turbulence: defaults.sway ? Math.random() * 0.1 : 0, // Random turbulence
-        // For rain: trail effect
-        trailLength: this.options.season === 'rainy' ? (size * 15 + Math.random() * 10) : 0,
-        // For leaves: simple rotation only
-        rotationX: 0,
-        rotationXSpeed: 0
+  // Ease existing particles towards changed speed (by speedRatio) and angle options, and to
+  // a newly picked color when recolor is set
+  easeParticles(speedRatio, recolor = false) {
+    const angle = (this.options.angle * Math.PI) / 180;
+    this.particles.forEach(particle => {
+      const target = particle.easing ? particle.easing.to : particle;
+      particle.easing = {
+        elapsed: 0,
+        from: { speed: particle.speed, angle: particle.angle, color: particle.color },
+        to: { speed: target.speed * speedRatio, angle: angle, color: recolor ? this.pickColor(particle) : target.color }
       };
+    });
+  }
 
-      // For leaves, add some variation
-      if (this.options.season === 'fall') {
-        particle.leafType = Math.floor(Math.random() * 3); // Different leaf shapes
-      }
-      
-      // For snowflakes, add unique pattern properties with much more variation
-      if (this.options.season === 'winter') {
-        // Different base structures
-        particle.snowflakeType = Math.floor(Math.random() * 6); // 6 different base types
-        particle.armCount = Math.random() > 0.7 ? 8 : 6; // 30% have 8 arms, 70% have 6
-        
-        // Branch positions - much more variation
-        particle.branch1Pos = 0.2 + Math.random() * 0.3; // Position of first branch (0.2-0.5)
-        particle.branch2Pos = 0.5 + Math.random() * 0.3; // Position of second branch (0.5-0.8)
-        particle.branch3Pos = Math.random() > 0.6 ? (0.7 + Math.random() * 0.2) : 0; // Third branch for some (0.7-0.9)
-        
-        // Branch lengths - much more variation
-        particle.branch1Length = 0.1 + Math.random() * 0.25; // Length of first branch (0.1-0.35)
-        particle.branch2Length = 0.08 + Math.random() * 0.22; // Length of second branch (0.08-0.3)
-        particle.branch3Length = particle.branch3Pos > 0 ? (0.06 + Math.random() * 0.1) : 0; // Third branch length
-        
-        // Branch angles - more dramatic
-        particle.branch1Angle = (Math.random() - 0.5) * 1.2; // Angle variation (-0.6 to 0.6 radians)
-        particle.branch2Angle = (Math.random() - 0.5) * 1.0;
-        particle.branch3Angle = particle.branch3Pos > 0 ? (Math.random() - 0.5) * 0.8 : 0;
-        
-        // Number of branches per arm
-        particle.numBranches1 = Math.floor(Math.random() * 3) + 1; // 1-3 branches at first position
-        particle.numBranches2 = Math.floor(Math.random() * 3) + 1; // 1-3 branches at second position
-        
-        // Center design
-        particle.centerType = Math.floor(Math.random() * 4); // 0=none, 1=circle, 2=hexagon, 3=star
-        particle.centerSize = 0.08 + Math.random() * 0.15; // Center size (0.08-0.23)
-        
-        // Arm properties
-        particle.armThickness = 0.6 + Math.random() * 0.6; // Arm thickness multiplier (0.6-1.2)
-        particle.armStyle = Math.floor(Math.random() * 3); // 0=straight, 1=tapered, 2=curved
-        
-        // Pattern decorations
-        particle.patternType = Math.floor(Math.random() * 5); // 5 different decorative patterns
-        particle.hasDots = Math.random() > 0.5; // 50% have dots
-        particle.hasSpikes = Math.random() > 0.4; // 60% have spikes
-        particle.hasVShapes = Math.random() > 0.5; // 50% have V shapes
-        
-        // Tip variations
-        particle.tipStyle = Math.floor(Math.random() * 4); // Different tip styles
-        particle.tipLength = 0.05 + Math.random() * 0.1; // Tip extension length
+  // Color for a new particle: from the color option (a color, palette, gradient or function),
+  // otherwise the effect's palette or color, then shifted by hueJitter
+  pickColor(particle) {
+    const defaults = this.defaultsFor(particle.effect);
+    const option = this.options.color;
+    let color;
+    if (typeof option === 'function') {
+      color = option(particle);
+      if (!parseColor(color)) {
+        // Nothing usable returned. Said once per function, as it's called for every particle.
+        if (this.reportedColorFunction !== option) {
+          this.reportedColorFunction = option;
+          this.reportError(new Error(`The color function returned ${describeValue(color)}, which isn't a CSS color. Using ${defaults.color} instead.`));
+        }
+        color = defaults.color;
       }
+    } else if (Array.isArray(option)) {
+      color = option[Math.floor(this.random() * option.length)];
+    } else if (option && typeof option === 'object') {
+      // Gradients are sampled in 8 steps so sprite caches don't fill up with in-between shades
+      const t = option.by === 'x' ? particle.x / (this.width || 800) : this.random();
+      color = sampleGradient(option.gradient, Math.round(t * 8) / 8);
+    } else if (option) {
+      color = option;
+    } else if (defaults.palette) {
+      color = defaults.palette[Math.floor(this.random() * defaults.palette.length)];
+    } else {
+      color = defaults.color;
+    }
+    if (this.options.hueJitter) {
+      // In quarter steps of the jitter, for the same reason
+      color = shiftHue(color, Math.round((this.random() * 2 - 1) * 4) / 4 * this.options.hueJitter);
+    }
+    return color;
+  }
 
-      this.particles.push(particle);
+  // Apply a particle's fade and option easing for this step. Returns false once it has faded out.
+  transitionParticle(particle, dt) {
+    if (particle.fadeRate !== 0) {
+      particle.fade = Math.min(1, particle.fade + particle.fadeRate * dt);
+      if (particle.fade <= 0) return false;
+      if (particle.fade === 1) {
+        particle.fadeRate = 0;
+      }
+    }
+    
+    const easing = particle.easing;
+    if (easing) {
+      easing.elapsed += dt;
+      const t = Math.min(1, easing.elapsed / OPTION_TRANSITION_DURATION);
+      const eased = t * t * (3 - 2 * t);
+      particle.speed = easing.from.speed + (easing.to.speed - easing.from.speed) * eased;
+      particle.angle = easing.from.angle + (easing.to.angle - easing.from.angle) * eased;
+      // Colors move in a few discrete steps so sprite caches don't fill up with in-between shades
+      particle.color = mixColors(easing.from.color, easing.to.color, Math.round(eased * 8) / 8);
+      if (t === 1) {
+        particle.easing = null;
+      }
     }
+    return true;
   }
 
-  drawParticle(particle) {
+  drawParticle(particle, alpha = 1) {
     if (!this.ctx || !particle) return;
     
-    this.ctx.save();
+    const effect = effects[particle.effect];
     
     // Apply opacity
-    const opacity = Math.max(0.3, Math.min(1, particle.opacity || 1));
-    const color = this.hexToRgba(particle.color, opacity);
+    const opacity = Math.max(0, Math.min(1, particle.opacity));
+    const color = this.toRgba(particle.color, opacity);
     
-    if (particle.shape === 'circle') {
-      // Snowflake - more detailed design with unique patterns
-      this.ctx.translate(particle.x, particle.y);
-      this.ctx.rotate(particle.rotation);
-      this.drawSnowflake(particle, color);
-      
-    } else if (particle.shape === 'line') {
-      // Rain drop - streak with gradient
-      this.drawRainDrop(particle, color);
-      
-    } else if (particle.shape === 'leaf') {
-      // Leaf - simple rotation only
-      this.ctx.translate(particle.x, particle.y);
-      this.ctx.rotate(particle.rotation);
-      this.drawLeaf(particle, color);
+    // Interpolate between the last two simulation steps so motion stays smooth
+    // on displays that refresh faster than the fixed timestep
+    const x = particle.prevX + (particle.x - particle.prevX) * alpha;
+    const y = particle.prevY + (particle.y - particle.prevY) * alpha;
+    const rotation = particle.prevRotation + (particle.rotation - particle.prevRotation) * alpha;
+    
+    if (particle.shape) {
+      this.ctx.save();
+      this.ctx.globalAlpha = particle.fade;
+      this.ctx.translate(x, y);
+      this.ctx.rotate(rotation);
+      this.drawShape(this.ctx, particle, opacity);
+      this.ctx.restore();
+      return;
+    }
+    
+    if (effect.sprite && this.options.sprites) {
+      // Fading is applied with globalAlpha so it doesn't multiply the sprites
+      this.ctx.globalAlpha = particle.fade;
+      this.drawSprite(particle, effect, x, y, rotation, color);
+      this.ctx.globalAlpha = 1;
+      return;
     }
+    
+    this.ctx.save();
+    this.ctx.globalAlpha = particle.fade;
+    this.ctx.translate(x, y);
+    this.ctx.rotate(rotation);
+    
+    // Effects draw around the origin, already positioned and rotated
+    effect.draw(this.ctx, particle, color, this);
 
     this.ctx.restore();
   }
 
+  // Blit a cached, pre-rotated sprite instead of building the particle's path every frame.
+  // Rotation is snapped to one of SPRITE_ROTATION_BUCKETS steps within the shape's symmetry,
+  // so no per-particle transform is needed.
+  drawSprite(particle, effect, x, y, rotation, color) {
+    const sprite = effect.sprite;
+    const symmetry = sprite.symmetry ? sprite.symmetry(particle, this) : Math.PI * 2;
+    let turn = rotation % symmetry;
+    if (turn < 0) turn += symmetry;
+    const bucket = Math.round(turn / symmetry * SPRITE_ROTATION_BUCKETS) % SPRITE_ROTATION_BUCKETS;
+    
+    const extent = Math.ceil(sprite.extent(particle)) + 1;
+    const key = `${particle.effect}:${sprite.key(particle)}:${color}:${bucket}`;
+    const image = this.sprites.get(key, extent * 2, (ctx) => {
+      ctx.rotate(bucket / SPRITE_ROTATION_BUCKETS * symmetry);
+      effect.draw(ctx, particle, color, this);
+    });
+    this.ctx.drawImage(image, x - extent, y - extent, extent * 2, extent * 2);
+  }
+
+  // Draw a particle's custom shape around the origin of ctx, which is already positioned and
+  // rotated. The season's webgl description still supplies flips, pulses and blending.
+  drawShape(ctx, particle, opacity) {
+    const image = this.shapeSprite(particle.shape, particle.color);
+    if (!image) return; // Image still loading
+    const webgl = effects[particle.effect].webgl || {};
+    const size = particle.size;
+    ctx.globalAlpha *= opacity * (webgl.alpha ? webgl.alpha(particle) : 1);
+    if (webgl.blend) {
+      ctx.globalCompositeOperation = webgl.blend;
+    }
+    if (webgl.scaleX) {
+      ctx.scale(webgl.scaleX(particle), 1);
+    }
+    ctx.drawImage(image, -size, -size, size * 2, size * 2);
+  }
+
+  // Whether a shape is recolored with the particle color: paths and text always are, images
+  // only when the color option is set (or their tint says so)
+  shapeTinted(shape) {
+    if (shape.kind !== 'image') return true;
+    return shape.tint !== undefined ? !!shape.tint : this.options.color !== null;
+  }
+
+  // Cached sprite of a shape in a color, or null if its image hasn't loaded yet
+  shapeSprite(shape, color) {
+    if (!isShapeReady(shape)) return null;
+    const tinted = this.shapeTinted(shape);
+    const fill = tinted ? this.toRgba(color, 1) : null;
+    return this.sprites.get(`shape:${shape.id}:${fill}`, SHAPE_SPRITE_EXTENT * 2, (ctx) => {
+      drawShapeInto(ctx, shape, fill, SHAPE_SPRITE_EXTENT, tinted);
+    });
+  }
+
+  // Any CSS color as 'rgba(...)', with its alpha multiplied by alpha
+  toRgba(value, alpha = 1) {
+    const color = parseColor(value) || parseColor(BASE_EFFECT_DEFAULTS.color);
+    return `rgba(${color.r}, ${color.g}, ${color.b}, ${color.a * alpha})`;
+  }
+
+  // Older name of toRgba(), kept for custom effects that use it
   hexToRgba(hex, alpha) {
-    const r = parseInt(hex.slice(1, 3), 16);
-    const g = parseInt(hex.slice(3, 5), 16);
-    const b = parseInt(hex.slice(5, 7), 16);
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    return this.toRgba(hex, alpha);
   }
 
   drawSnowflake(particle, color) {
@@ -253,9 +3019,22 @@ class SeasonalAnimation {
     this.ctx.lineCap = 'round';
     this.ctx.lineJoin = 'round';
     
-    const armCount = particle.armCount || 6;
+    const detail = this.qualitySettings.snowflakeDetail;
+    const armCount = snowflakeArms(particle, this);
     const angleStep = (Math.PI * 2) / armCount;
     
+    if (detail === 'arms') {
+      // Lowest quality tier: straight arms only
+      this.ctx.beginPath();
+      for (let i = 0; i < armCount; i++) {
+        const armAngle = i * angleStep;
+        this.ctx.moveTo(0, 0);
+        this.ctx.lineTo(Math.sin(armAngle) * size, -Math.cos(armAngle) * size);
+      }
+      this.ctx.stroke();
+      return;
+    }
+    
     // Draw center based on centerType
     if (particle.centerType === 1) {
       // Circle center
@@ -416,21 +3195,20 @@ class SeasonalAnimation {
         this.ctx.stroke();
       }
       
-      // Decorative patterns
-      if (particle.hasDots) {
+      // Decorative patterns, left out below the high quality tier
+      if (particle.hasDots && detail === 'full') {
         this.ctx.fillStyle = color;
-        const numDots = Math.floor(Math.random() * 3) + 2; // 2-4 dots
+        const numDots = particle.dotSizes.length;
         for (let j = 0; j < numDots; j++) {
           const dotPos = 0.15 + j * (0.7 / numDots);
           this.ctx.beginPath();
-          this.ctx.arc(0, -size * dotPos, baseLineWidth * (0.4 + Math.random() * 0.3), 0, Math.PI * 2);
+          this.ctx.arc(0, -size * dotPos, baseLineWidth * particle.dotSizes[j], 0, Math.PI * 2);
           this.ctx.fill();
         }
       }
       
-      if (particle.hasSpikes) {
-        const numSpikes = Math.floor(Math.random() * 2) + 1; // 1-2 spikes
-        for (let j = 0; j < numSpikes; j++) {
+      if (particle.hasSpikes && detail === 'full') {
+        for (let j = 0; j < particle.numSpikes; j++) {
           const spikePos = 0.3 + j * 0.35;
           this.ctx.beginPath();
           this.ctx.moveTo(0, -size * spikePos);
@@ -442,9 +3220,8 @@ class SeasonalAnimation {
         }
       }
       
-      if (particle.hasVShapes) {
-        const numV = Math.floor(Math.random() * 2) + 1; // 1-2 V shapes
-        for (let j = 0; j < numV; j++) {
+      if (particle.hasVShapes && detail === 'full') {
+        for (let j = 0; j < particle.numVShapes; j++) {
           const vPos = 0.25 + j * 0.4;
           this.ctx.beginPath();
           this.ctx.moveTo(0, -size * vPos);
@@ -463,52 +3240,36 @@ class SeasonalAnimation {
 
   drawRainDrop(particle, color) {
     const length = particle.trailLength || particle.size * 12;
-    const angle = particle.angle;
+    const angle = particle.heading !== undefined ? particle.heading : particle.angle;
     
-    // Extract RGB values from rgba color
-    const rgbaMatch = color.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)/);
-    let r, g, b, alpha;
+    // Channels of the (already opacity-applied) color, to build the streak's shades from
+    const { r, g, b, a: alpha } = parseColor(color) || parseColor(effects.rainy.defaults.color);
     
-    if (rgbaMatch) {
-      r = rgbaMatch[1];
-      g = rgbaMatch[2];
-      b = rgbaMatch[3];
-      alpha = parseFloat(rgbaMatch[4] || 1);
+    if (this.qualitySettings.rainGradient) {
+      // Create gradient for rain streak (fade at top), drawn relative to the drop's position
+      const gradient = this.ctx.createLinearGradient(
+        0,
+        0,
+        Math.sin(angle) * length,
+        Math.cos(angle) * length
+      );
+      
+      gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${alpha})`);
+      gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, ${alpha * 0.8})`);
+      gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, ${alpha * 0.3})`);
+      this.ctx.strokeStyle = gradient;
     } else {
-      // Fallback: try to parse hex
-      const hexMatch = particle.color.match(/#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})/i);
-      if (hexMatch) {
-        r = parseInt(hexMatch[1], 16);
-        g = parseInt(hexMatch[2], 16);
-        b = parseInt(hexMatch[3], 16);
-        alpha = 1;
-      } else {
-        // Default fallback
-        r = 135; g = 206; b = 235; alpha = 1;
-      }
+      // Flat stroke at about the gradient's average opacity
+      this.ctx.strokeStyle = `rgba(${r}, ${g}, ${b}, ${alpha * 0.6})`;
     }
-    
-    // Create gradient for rain streak (fade at top)
-    const gradient = this.ctx.createLinearGradient(
-      particle.x,
-      particle.y,
-      particle.x + Math.sin(angle) * length,
-      particle.y + Math.cos(angle) * length
-    );
-    
-    gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, ${alpha})`);
-    gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, ${alpha * 0.8})`);
-    gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, ${alpha * 0.3})`);
-    
-    this.ctx.strokeStyle = gradient;
     this.ctx.lineWidth = Math.max(1.5, particle.size * 0.8);
     this.ctx.lineCap = 'round';
     
     this.ctx.beginPath();
-    this.ctx.moveTo(particle.x, particle.y);
+    this.ctx.moveTo(0, 0);
     this.ctx.lineTo(
-      particle.x + Math.sin(angle) * length,
-      particle.y + Math.cos(angle) * length
+      Math.sin(angle) * length,
+      Math.cos(angle) * length
     );
     this.ctx.stroke();
     
@@ -516,8 +3277,8 @@ class SeasonalAnimation {
     this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, 1)`;
     this.ctx.beginPath();
     this.ctx.arc(
-      particle.x + Math.sin(angle) * length * 0.1,
-      particle.y + Math.cos(angle) * length * 0.1,
+      Math.sin(angle) * length * 0.1,
+      Math.cos(angle) * length * 0.1,
       particle.size * 0.3,
       0,
       Math.PI * 2
@@ -533,6 +3294,12 @@ class SeasonalAnimation {
     this.ctx.lineCap = 'round';
     this.ctx.lineJoin = 'round';
     
+    // Pseudo-3D flip around the leaf's long axis: squash it horizontally so its edge
+    // shows when it turns side-on, and past 90 degrees we're looking at the underside
+    const flip = Math.cos(particle.rotationX || 0);
+    const showUnderside = flip < 0;
+    this.ctx.scale(Math.max(0.08, Math.abs(flip)), 1);
+    
     this.ctx.beginPath();
     
     // Draw different leaf shapes with more detail
@@ -561,144 +3328,1496 @@ class SeasonalAnimation {
       this.ctx.quadraticCurveTo(size * 0.35, -size * 0.1, 0, -size);
     }
     
-    this.ctx.fill();
-    
-    // Add leaf vein (main stem)
-    this.ctx.beginPath();
-    this.ctx.moveTo(0, -size * 0.9);
-    this.ctx.lineTo(0, size * 0.9);
-    this.ctx.stroke();
-    
-    // Add side veins for maple leaf
-    if (particle.leafType === 0) {
-      this.ctx.beginPath();
-      // Left veins
-      this.ctx.moveTo(0, -size * 0.3);
-      this.ctx.lineTo(-size * 0.3, -size * 0.1);
-      this.ctx.moveTo(0, 0);
-      this.ctx.lineTo(-size * 0.4, size * 0.2);
-      this.ctx.moveTo(0, size * 0.3);
-      this.ctx.lineTo(-size * 0.3, size * 0.5);
-      // Right veins
-      this.ctx.moveTo(0, -size * 0.3);
-      this.ctx.lineTo(size * 0.3, -size * 0.1);
-      this.ctx.moveTo(0, 0);
-      this.ctx.lineTo(size * 0.4, size * 0.2);
-      this.ctx.moveTo(0, size * 0.3);
-      this.ctx.lineTo(size * 0.3, size * 0.5);
-      this.ctx.stroke();
+    this.ctx.fill();
+    
+    // Undersides are paler
+    if (showUnderside) {
+      this.ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+      this.ctx.fill();
+    }
+    
+    // Add leaf vein (main stem)
+    this.ctx.beginPath();
+    this.ctx.moveTo(0, -size * 0.9);
+    this.ctx.lineTo(0, size * 0.9);
+    this.ctx.stroke();
+    
+    // Add side veins for maple leaf
+    if (particle.leafType === 0) {
+      this.ctx.beginPath();
+      // Left veins
+      this.ctx.moveTo(0, -size * 0.3);
+      this.ctx.lineTo(-size * 0.3, -size * 0.1);
+      this.ctx.moveTo(0, 0);
+      this.ctx.lineTo(-size * 0.4, size * 0.2);
+      this.ctx.moveTo(0, size * 0.3);
+      this.ctx.lineTo(-size * 0.3, size * 0.5);
+      // Right veins
+      this.ctx.moveTo(0, -size * 0.3);
+      this.ctx.lineTo(size * 0.3, -size * 0.1);
+      this.ctx.moveTo(0, 0);
+      this.ctx.lineTo(size * 0.4, size * 0.2);
+      this.ctx.moveTo(0, size * 0.3);
+      this.ctx.lineTo(size * 0.3, size * 0.5);
+      this.ctx.stroke();
+    }
+  }
+
+  drawPetal(particle, color) {
+    const size = particle.size;
+    this.ctx.fillStyle = color;
+    
+    if (particle.isPollen) {
+      // Pollen - tiny soft speck
+      this.ctx.beginPath();
+      this.ctx.arc(0, 0, Math.max(0.8, size * 0.2), 0, Math.PI * 2);
+      this.ctx.fill();
+      return;
+    }
+    
+    // Flutter: the petal turns edge-on and back as it drifts
+    this.ctx.scale(0.3 + 0.7 * Math.abs(Math.cos(particle.flutter)), 1);
+    
+    // Cherry blossom petal - rounded with a notch at the tip
+    this.ctx.beginPath();
+    this.ctx.moveTo(0, size);
+    this.ctx.bezierCurveTo(-size * 0.9, size * 0.3, -size * 0.7, -size * 0.8, -size * 0.18, -size * 0.9);
+    this.ctx.lineTo(0, -size * 0.65);
+    this.ctx.lineTo(size * 0.18, -size * 0.9);
+    this.ctx.bezierCurveTo(size * 0.7, -size * 0.8, size * 0.9, size * 0.3, 0, size);
+    this.ctx.fill();
+    
+    // Slightly deeper tone towards the base
+    this.ctx.fillStyle = this.toRgba(particle.color, 0.35);
+    this.ctx.beginPath();
+    this.ctx.ellipse(0, size * 0.55, size * 0.2, size * 0.35, 0, 0, Math.PI * 2);
+    this.ctx.fill();
+  }
+
+  drawFirefly(particle, color) {
+    const size = particle.size;
+    // Additive blending so overlapping glows brighten each other
+    this.ctx.globalCompositeOperation = 'lighter';
+    this.ctx.globalAlpha *= particle.glow;
+    
+    if (this.qualitySettings.glow) {
+      // Soft halo
+      const glowRadius = size * 4;
+      const gradient = this.ctx.createRadialGradient(0, 0, 0, 0, 0, glowRadius);
+      gradient.addColorStop(0, this.toRgba(particle.color, 0.6));
+      gradient.addColorStop(0.3, this.toRgba(particle.color, 0.2));
+      gradient.addColorStop(1, this.toRgba(particle.color, 0));
+      this.ctx.fillStyle = gradient;
+      this.ctx.beginPath();
+      this.ctx.arc(0, 0, glowRadius, 0, Math.PI * 2);
+      this.ctx.fill();
+    } else {
+      // Flat halo
+      this.ctx.fillStyle = this.toRgba(particle.color, 0.15);
+      this.ctx.beginPath();
+      this.ctx.arc(0, 0, size * 2, 0, Math.PI * 2);
+      this.ctx.fill();
+    }
+    
+    // Bright core
+    this.ctx.fillStyle = color;
+    this.ctx.beginPath();
+    this.ctx.arc(0, 0, size * 0.5, 0, Math.PI * 2);
+    this.ctx.fill();
+  }
+
+  updateParticle(particle, dt) {
+    const effect = effects[particle.effect];
+    
+    // Season-specific physics
+    effect.update(particle, dt, this);
+
+    // Settle onto the ground or an element instead of leaving the screen
+    const accumulate = this.defaultsFor(particle.effect).accumulate;
+    if (this.accumulation && accumulate && this.accumulation.collide(particle, accumulate)) {
+      this.respawnParticle(particle);
+      return;
+    }
+
+    // Effects that react to impacts (e.g. rain splashing) stop at the bottom edge or a collider
+    if (effect.land) {
+      const impactY = this.findImpact(particle);
+      if (impactY !== null) {
+        effect.land(particle, particle.x, impactY, this);
+        this.respawnParticle(particle);
+        return;
+      }
+    }
+
+    // Reset particle when it goes off screen
+    if (particle.y > this.height + particle.size) {
+      this.respawnParticle(particle);
+    }
+
+    // Wrap horizontally for angled particles
+    if (particle.x < -particle.size) {
+      particle.x = this.width + particle.size;
+      particle.prevX = particle.x;
+    } else if (particle.x > this.width + particle.size) {
+      particle.x = -particle.size;
+      particle.prevX = particle.x;
+    }
+  }
+
+  // Recycle a particle back to the top of the screen
+  respawnParticle(particle) {
+    if (particle.retired) {
+      // Its season is being transitioned away from; drop it instead (see step)
+      particle.fade = 0;
+      return;
+    }
+    particle.y = -particle.size;
+    particle.x = this.random() * this.width;
+    // Don't interpolate across the jump back to the top
+    particle.prevX = particle.x;
+    particle.prevY = particle.y;
+    // Handlers may change the particle, or return false to remove it instead
+    if (!this.fire('particleRespawn', particle)) {
+      particle.fade = 0;
+    }
+  }
+
+  // Ease a particle's wind-driven velocity towards the local wind and move it by that velocity
+  applyWind(particle, dt) {
+    const frames = dt / FRAME_DURATION;
+    const wind = this.wind.at(particle.x, particle.y);
+    const response = 1 - Math.exp(-(this.defaultsFor(particle.effect).drag / particle.mass) * frames);
+    particle.vx += (wind.x - particle.vx) * response;
+    particle.vy += (wind.y - particle.vy) * response;
+    particle.x += particle.vx * frames;
+    particle.y += particle.vy * frames;
+  }
+
+  // Advance the simulation by one fixed step of dt milliseconds
+  tick(dt) {
+    this.wind.update(dt);
+    if (this.accumulation) {
+      this.accumulation.update(dt);
+    }
+    if (this.needsColliderMeasure) {
+      this.measureColliders();
+    }
+    this.secondary.update(dt, this);
+    
+    const interacting = this.interaction && this.pointer.active;
+    let faded = false;
+    this.particles.forEach(particle => {
+      particle.prevX = particle.x;
+      particle.prevY = particle.y;
+      particle.prevRotation = particle.rotation;
+      if (!this.transitionParticle(particle, dt)) {
+        faded = true;
+        return;
+      }
+      if (interacting) {
+        this.applyInteraction(particle, dt);
+      }
+      this.updateParticle(particle, dt);
+      if (particle.fade <= 0) {
+        faded = true; // Retired particle that reached the bottom
+      }
+    });
+    if (this.transition) {
+      this.updateTransition(dt);
+    }
+    this.applyParallax();
+    if (faded) {
+      this.particles = this.particles.filter(particle => particle.fade > 0);
+    }
+    
+    // A pointer that stops moving stops stirring up a wake
+    const settle = Math.exp(-0.2 * dt / FRAME_DURATION);
+    this.pointer.vx *= settle;
+    this.pointer.vy *= settle;
+    
+    this.time += dt;
+  }
+
+  // Feed elapsed (already time-scaled) milliseconds into the fixed-timestep accumulator
+  advance(elapsed) {
+    this.accumulator += Math.max(0, elapsed);
+    
+    // elapsed is already scaled, so fast forward needs more steps per frame to keep up
+    const maxSteps = Math.ceil(this.maxSubSteps * Math.max(1, this.options.timeScale));
+    let steps = 0;
+    while (this.accumulator >= this.timeStep && steps < maxSteps) {
+      this.tick(this.timeStep);
+      this.accumulator -= this.timeStep;
+      steps++;
+    }
+    
+    // Still behind after the maximum catch-up (e.g. throttled background tab):
+    // drop the backlog instead of trying to simulate it all at once
+    if (this.accumulator >= this.timeStep) {
+      this.accumulator %= this.timeStep;
+    }
+  }
+
+  render(alpha = 1) {
+    // Draw in CSS pixels onto the scaled backing store
+    this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    this.ctx.clearRect(0, 0, this.width, this.height);
+    this.fire('beforeDraw', this.ctx);
+
+    if (this.accumulation) {
+      this.accumulation.draw(this.ctx);
+    }
+
+    if (this.webgl) {
+      // Accumulation, splashes and draw hooks are drawn in 2D and composited underneath the particles
+      this.drawSecondary();
+      this.fire('afterDraw', this.ctx);
+      const hooks = this.hasListeners('beforeDraw') || this.hasListeners('afterDraw');
+      const splashes = this.secondary.active.length > 0;
+      const overlay = this.accumulation || splashes || hooks ? this.ctx.canvas : null;
+      // Uploading the overlay is the costly part, so it's skipped while nothing in it moves:
+      // hooks and splashes may draw something new every frame, the accumulation only when redrawn
+      const redrawn = this.accumulation ? this.accumulation.lastRedraw : null;
+      const changed = hooks || splashes || this.overlaySplashes || redrawn !== this.overlayRedrawn;
+      this.overlaySplashes = splashes; // The frame after the last splash still has to clear it
+      this.overlayRedrawn = redrawn;
+      this.webgl.render(this.particles, alpha, overlay, changed);
+      return;
+    }
+
+    // Particles are sorted by layer, so the blur filter only changes between layers
+    let blur = 0;
+    const allowBlur = this.qualitySettings.blur;
+    this.particles.forEach(particle => {
+      const particleBlur = allowBlur ? particle.blur : 0;
+      if (particleBlur !== blur) {
+        blur = particleBlur;
+        this.ctx.filter = blur ? `blur(${blur}px)` : 'none';
+      }
+      this.drawParticle(particle, alpha);
+    });
+    if (blur) {
+      this.ctx.filter = 'none';
+    }
+
+    this.drawSecondary();
+    this.fire('afterDraw', this.ctx);
+  }
+
+  drawSecondary() {
+    this.secondary.active.forEach(particle => {
+      this.ctx.save();
+      this.ctx.translate(particle.x, particle.y);
+      particle.kind.draw(this.ctx, particle, this);
+      this.ctx.restore();
+    });
+  }
+
+  animate(timestamp) {
+    this.animationId = null;
+    if (!this.isRunning || this.pauseReasons.size > 0) return;
+
+    const now = timestamp !== undefined ? timestamp : performance.now();
+    const elapsed = this.lastTimestamp === null ? 0 : now - this.lastTimestamp;
+    this.lastTimestamp = now;
+
+    const workStart = performance.now();
+    this.advance(elapsed * this.options.timeScale);
+    this.render(this.accumulator / this.timeStep);
+    if (this.options.quality === 'auto' && this.options.adaptiveQuantity) {
+      this.measureFrame(performance.now() - workStart, elapsed);
+    }
+
+    this.frameCount++;
+    this.animationId = requestFrame((t) => this.animate(t));
+  }
+
+  // Quality governor: go down a tier while frames stay slow, and back up after a few
+  // seconds of headroom. Checked once per ~60 frames. work is the time spent in advance()
+  // and render(); the interval since the last frame only tells whether frames were dropped,
+  // since it's at least a display refresh however little work there was.
+  measureFrame(work, interval) {
+    if (interval <= 0 || interval > 250) return; // First frame, or a hiccup such as a tab switch
+    this.frameTime = this.frameTime === null ? work : this.frameTime * 0.95 + work * 0.05;
+    this.shortestInterval = Math.min(this.shortestInterval, interval);
+    if (this.refreshInterval !== null && interval > this.refreshInterval * 1.5) {
+      this.droppedFrames++;
+    }
+    this.frameSamples++;
+    if (this.frameSamples < 60) return;
+    const dropped = this.droppedFrames;
+    this.refreshInterval = this.shortestInterval;
+    this.shortestInterval = Infinity;
+    this.frameSamples = 0;
+    this.droppedFrames = 0;
+    
+    // Drawing can finish on the GPU after render() returns, so dropping many frames counts as
+    // slow too, as long as the animation's own work is a good part of the frame budget
+    const adaptive = this.options.adaptiveQuantity === true ? {} : this.options.adaptiveQuantity;
+    const maxFrameTime = adaptive.maxFrameTime ?? this.options.maxFrameTime;
+    const lowest = QUALITY_NAMES.findIndex(name => QUALITY_TIERS[name].quantity >= (adaptive.minScale ?? 0));
+    const slow = this.frameTime > maxFrameTime || (dropped > 15 && this.frameTime > maxFrameTime / 2);
+    const level = this.qualitySettings.level;
+    if (slow) {
+      this.qualityHeadroom = 0;
+      if (level > lowest) {
+        this.setQuality(QUALITY_NAMES[level - 1]);
+        this.frameTime = null; // Measure the new tier from scratch
+      }
+    } else if (this.frameTime < maxFrameTime * 0.75 && dropped < 6 && level < QUALITY_NAMES.length - 1) {
+      // Wait for three fast windows in a row, so it doesn't flip back and forth
+      this.qualityHeadroom++;
+      if (this.qualityHeadroom >= 3) {
+        this.qualityHeadroom = 0;
+        this.setQuality(QUALITY_NAMES[level + 1]);
+        this.frameTime = null;
+      }
+    } else {
+      this.qualityHeadroom = 0;
+    }
+  }
+
+  // Switch to a quality tier: particles are added or retired to match its quantity, and
+  // sprites are redrawn with its level of detail
+  setQuality(name) {
+    if (this.forwardToWorker('setQuality', [name])) return;
+    if (!QUALITY_TIERS[name]) {
+      throw new Error(`Unknown quality: ${name}`);
+    }
+    if (!this.applyQuality(name)) return;
+    if (this.layers.length > 0) {
+      this.layers = this.resolveLayers();
+      this.adjustQuantity();
+    }
+  }
+
+  // Returns false when already at that tier
+  applyQuality(name) {
+    if (name === this.quality) return false;
+    const previous = this.quality;
+    this.quality = name;
+    this.qualitySettings = QUALITY_TIERS[name];
+    this.quantityScales.quality = this.qualitySettings.quantity;
+    this.sprites.clear();
+    if (this.webgl) {
+      this.webgl.clear();
     }
+    if (this.options.onQualityChange) {
+      this.options.onQualityChange(name, previous);
+    }
+    return true;
+  }
+
+  // Return the simulation to time 0 with a freshly seeded scene
+  reset() {
+    if (this.forwardToWorker('reset', [])) return;
+    this.random = createRandom(this.options.seed);
+    this.wind = new WindField(this.options.wind, this.random);
+    this.secondary.clear();
+    this.clearAccumulation();
+    this.time = 0;
+    this.accumulator = 0;
+    this.lastTimestamp = null;
+    this.createParticles();
   }
 
-  updateParticle(particle) {
-    const defaults = this.seasonDefaults[this.options.season];
+  // Draw the exact frame for a simulated time (ms since the scene started). Given the same
+  // seed, options and canvas size the result is identical every time, which makes it
+  // suitable for screenshots and visual tests. Pointer interaction is ignored.
+  renderAt(timeMs) {
+    if (this.forwardToWorker('renderAt', [timeMs])) return;
     
-    // Calculate base movement with angle
-    const vx = Math.sin(particle.angle) * particle.speed;
-    const vy = Math.cos(particle.angle) * particle.speed;
+    const pointerActive = this.pointer.active;
+    this.pointer.active = false;
+    
+    this.reset();
+    const steps = Math.floor(timeMs / this.timeStep);
+    for (let i = 0; i < steps; i++) {
+      this.tick(this.timeStep);
+    }
+    this.accumulator = timeMs - steps * this.timeStep;
+    this.render(this.accumulator / this.timeStep);
+    
+    this.pointer.active = pointerActive;
+  }
 
-    // Season-specific physics
-    if (this.options.season === 'winter') {
-      // Snowflakes: gentle swaying, slow rotation
-      const windEffect = Math.sin(particle.swayOffset + this.frameCount * particle.swaySpeed) * particle.swayAmount;
-      particle.x += vx + windEffect + particle.windX;
-      particle.y += vy;
-      particle.rotation += particle.rotationSpeed;
-      // Add slight vertical wobble
-      particle.x += Math.sin(this.frameCount * 0.01 + particle.swayOffset) * particle.turbulence;
-      
-    } else if (this.options.season === 'rainy') {
-      // Rain: straight fast fall, no rotation, slight wind angle
-      particle.x += vx;
-      particle.y += vy;
-      // Rain doesn't rotate, but can have slight angle from wind
-      // Add slight horizontal drift from wind
-      particle.x += particle.windX * 0.5;
-      
-    } else if (this.options.season === 'fall') {
-      // Leaves: simple fall, no physics
-      particle.x += vx;
-      particle.y += vy;
-      particle.rotation += particle.rotationSpeed;
+  /**
+   * Advance the scene by dtMs of simulated time (scaled by timeScale) and draw it. Drives the
+   * animation without the frame loop, e.g. headless in Node or frame by frame in tests.
+   * @param {number} [dtMs] - Milliseconds to advance, one 60 fps frame by default
+   */
+  step(dtMs = FRAME_DURATION) {
+    if (this.forwardToWorker('step', [dtMs])) return;
+    this.accumulator += Math.max(0, dtMs) * this.options.timeScale;
+    while (this.accumulator >= this.timeStep) {
+      this.tick(this.timeStep);
+      this.accumulator -= this.timeStep;
     }
+    this.render(this.accumulator / this.timeStep);
+    this.frameCount++;
+  }
 
-    // Reset particle when it goes off screen
-    if (particle.y > this.canvas.height + particle.size) {
-      particle.y = -particle.size;
-      particle.x = Math.random() * this.canvas.width;
-      // Reset some properties for variety
-      if (this.options.season === 'fall') {
-        // Simple reset, no physics properties
+  // Replay the scene from the start like renderAt(), calling onFrame(canvas, index, timeMs)
+  // with a copy of each frame (over background, if given). The frame loop is paused meanwhile
+  // and the live scene continues where it was once the replay is done.
+  async renderSequence({ duration = 3000, fps = 30, startTime = 0, background = null }, onFrame) {
+    if (this.worker) {
+      throw new Error('Exporting is not available with the worker renderer');
+    }
+    if (!(duration > 0) || !(fps > 0)) {
+      throw new Error(`Invalid export: duration and fps must be positive, got ${duration} and ${fps}`);
+    }
+    const frameCount = Math.max(1, Math.round(duration / 1000 * fps));
+    // Copying out also reads back WebGL frames, which can't be read from their own canvas
+    const frame = this.createCanvas(this.canvas.width, this.canvas.height);
+    const frameCtx = frame.getContext('2d');
+    const pointerActive = this.pointer.active;
+    this.pointer.active = false;
+    this.setPaused('export', true);
+    // The replay gets its own particles, splashes and accumulation; the live scene is put back afterwards
+    const scene = {
+      random: this.random,
+      wind: this.wind,
+      secondary: this.secondary,
+      accumulation: this.accumulation,
+      particles: this.particles,
+      transition: this.transition,
+      time: this.time,
+      accumulator: this.accumulator,
+      nextParticleId: this.nextParticleId
+    };
+    this.secondary = new ParticlePool(scene.secondary.size);
+    this.accumulation = null;
+    this.setupAccumulation();
+    try {
+      this.reset();
+      let steps = 0;
+      for (let index = 0; index < frameCount; index++) {
+        const time = startTime + index * 1000 / fps;
+        for (; steps < Math.floor(time / this.timeStep); steps++) {
+          this.tick(this.timeStep);
+        }
+        this.accumulator = time - steps * this.timeStep;
+        this.render(this.accumulator / this.timeStep);
+        frameCtx.clearRect(0, 0, frame.width, frame.height);
+        if (background) {
+          frameCtx.fillStyle = background;
+          frameCtx.fillRect(0, 0, frame.width, frame.height);
+        }
+        frameCtx.drawImage(this.canvas, 0, 0);
+        await onFrame(frame, index, time);
+      }
+    } finally {
+      if (this.accumulation) {
+        this.accumulation.destroy();
       }
+      Object.assign(this, scene);
+      this.render(this.accumulator / this.timeStep);
+      this.pointer.active = pointerActive;
+      this.setPaused('export', false);
     }
+  }
 
-    // Wrap horizontally for angled particles
-    if (particle.x < -particle.size) {
-      particle.x = this.canvas.width + particle.size;
-    } else if (particle.x > this.canvas.width + particle.size) {
-      particle.x = -particle.size;
+  /**
+   * Render part of the scene, from the start, as a sequence of frames
+   * @param {Object} [options] - duration (ms, default 3000), fps (30), startTime (ms, 0),
+   *   background (CSS color, null = transparent) and format: 'png' (Blobs, or Buffers with the
+   *   canvas package) or 'imageData' (raw RGBA, e.g. for a WebCodecs VideoEncoder)
+   * @param {Function} [onFrame] - Called with (frame, index, timeMs) as each frame is ready.
+   *   Frames aren't collected when it's given, which keeps long exports out of memory.
+   * @returns {Promise<Array>} The frames (empty with onFrame)
+   */
+  async exportFrames(options = {}, onFrame = null) {
+    const format = options.format || 'png';
+    if (format !== 'png' && format !== 'imageData') {
+      throw new Error(`Invalid export format: ${format}. Use 'png' or 'imageData'.`);
     }
+    const frames = [];
+    await this.renderSequence(options, async (canvas, index, time) => {
+      const frame = format === 'png'
+        ? await canvasToPng(canvas)
+        : canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+      if (onFrame) {
+        await onFrame(frame, index, time);
+      } else {
+        frames.push(frame);
+      }
+    });
+    return frames;
+  }
+
+  /**
+   * Render part of the scene, from the start, as an animated GIF
+   * @param {Object} [options] - duration (ms, default 3000), fps (20), startTime (ms, 0),
+   *   background (CSS color; null keeps the background transparent), loop (repeats,
+   *   0 = forever, false = play once) and maxColors (2 to 256 per frame)
+   * @returns {Promise<Uint8Array>} The GIF file
+   */
+  async exportGif(options = {}) {
+    const { fps = 20, loop = 0, maxColors = 256, background = null } = options;
+    if (!(maxColors >= 2 && maxColors <= 256)) {
+      throw new Error(`Invalid export: maxColors must be from 2 to 256, got ${maxColors}`);
+    }
+    let encoder = null;
+    await this.renderSequence({ ...options, fps: fps }, (canvas, index) => {
+      if (!encoder) {
+        encoder = new GifEncoder(canvas.width, canvas.height, loop);
+      }
+      const pixels = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data;
+      // Delays are whole hundredths of a second, so spread the rounding over the frames
+      const delay = Math.round((index + 1) * 100 / fps) - Math.round(index * 100 / fps);
+      encoder.addFrame(pixels, delay, !background, maxColors);
+    });
+    return encoder.finish();
   }
 
-  animate() {
-    if (!this.isRunning) return;
+  /**
+   * Listen for an event: 'start', 'stop', 'destroy', 'resize', 'optionsChange', 'beforeDraw',
+   * 'afterDraw', 'particleRespawn' or 'error'
+   * @param {string} event - Event name
+   * @param {Function} handler - Called with the event's arguments
+   * @returns {SeasonalAnimation} this, for chaining
+   */
+  on(event, handler) {
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+    return this;
+  }
 
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+  /**
+   * Stop listening. Without a handler, all handlers for the event are removed.
+   * @param {string} event - Event name
+   * @param {Function} [handler] - Handler passed to on()
+   * @returns {SeasonalAnimation} this, for chaining
+   */
+  off(event, handler) {
+    if (!this.listeners[event]) return this;
+    this.listeners[event] = handler ? this.listeners[event].filter(item => item !== handler) : [];
+    return this;
+  }
 
-    this.particles.forEach(particle => {
-      this.updateParticle(particle);
-      this.drawParticle(particle);
+  // Call the handlers for an event. Returns false when one of them returned false.
+  fire(event, ...args) {
+    const handlers = this.listeners[event];
+    if (!handlers || handlers.length === 0) return true;
+    let result = true;
+    // Copy, so handlers can call off() while being called
+    handlers.slice().forEach(handler => {
+      if (handler.apply(this, args) === false) {
+        result = false;
+      }
     });
+    return result;
+  }
 
-    this.frameCount++;
-    this.animationId = requestAnimationFrame(() => this.animate());
+  hasListeners(event) {
+    return !!this.listeners[event] && this.listeners[event].length > 0;
+  }
+
+  // Report a recoverable problem as an 'error' event, or on the console when nobody listens
+  reportError(error) {
+    if (this.hasListeners('error')) {
+      this.fire('error', error);
+    } else {
+      console.error(error.message);
+    }
   }
 
   start() {
     if (this.isRunning) return;
     this.isRunning = true;
+    this.fire('start');
+    if (this.forwardToWorker('start', [])) return;
     this.frameCount = 0;
-    this.animate();
+    this.accumulator = 0;
+    this.updateLoop();
+    if (this.pauseReasons.has('reducedMotion')) {
+      this.drawReducedMotionFrame();
+    }
   }
 
   stop() {
-    this.isRunning = false;
-    if (this.animationId) {
-      cancelAnimationFrame(this.animationId);
+    if (this.isRunning) {
+      this.isRunning = false;
+      this.fire('stop');
+    }
+    if (this.forwardToWorker('stop', [])) return;
+    this.updateLoop();
+  }
+
+  // Run the frame loop while started and not paused by a policy
+  updateLoop() {
+    const shouldRun = this.isRunning && this.pauseReasons.size === 0;
+    if (shouldRun && !this.animationId) {
+      this.lastTimestamp = null; // Don't count the pause as elapsed time
+      this.animate();
+    } else if (!shouldRun && this.animationId) {
+      cancelFrame(this.animationId);
       this.animationId = null;
     }
   }
 
+  // Pause or resume the loop for a reason; it runs again once no reason is left
+  setPaused(reason, paused) {
+    if (this.forwardToWorker('setPaused', [reason, paused])) return;
+    if (paused) {
+      this.pauseReasons.add(reason);
+    } else {
+      this.pauseReasons.delete(reason);
+    }
+    this.updateLoop();
+  }
+
+  quantityScale() {
+    const scales = this.quantityScales;
+    return scales.reducedMotion * scales.battery * scales.quality;
+  }
+
+  // Set one of the factors applied to the quantity; particles are added or retired to match
+  setQuantityScale(name, value) {
+    if (this.forwardToWorker('setQuantityScale', [name, value])) return;
+    if (this.quantityScales[name] === value) return;
+    this.quantityScales[name] = value;
+    if (this.layers.length > 0) {
+      this.layers = this.resolveLayers();
+      this.adjustQuantity();
+    }
+  }
+
+  // Apply the reducedMotion option: fewer, slower particles ('gentle'), a still frame
+  // ('static') or nothing at all ('disable')
+  setReducedMotion(active) {
+    if (this.forwardToWorker('setReducedMotion', [active])) return;
+    const mode = active ? this.options.reducedMotion : false;
+    const speedScale = mode === 'gentle' ? 0.5 : 1;
+    if (speedScale !== this.speedScale) {
+      const ratio = speedScale / this.speedScale;
+      this.speedScale = speedScale;
+      this.easeParticles(ratio);
+    }
+    this.setQuantityScale('reducedMotion', mode === 'gentle' ? 0.3 : 1);
+    this.setPaused('reducedMotion', mode === 'static' || mode === 'disable');
+    if (this.isRunning && this.pauseReasons.has('reducedMotion')) {
+      this.drawReducedMotionFrame();
+    }
+  }
+
+  drawReducedMotionFrame() {
+    if (this.options.reducedMotion === 'static') {
+      // A few seconds in, so the particles are spread over the screen
+      this.renderAt(3000);
+    } else if (this.webgl) {
+      this.webgl.render([], 1, null);
+    } else {
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  // Listen for reduced motion, tab visibility, container visibility and battery level
+  setupPolicies() {
+    this.teardownPolicies();
+    if (typeof window === 'undefined') return;
+    const handlers = [];
+    const listen = (target, type, handler) => {
+      target.addEventListener(type, handler);
+      handlers.push(() => target.removeEventListener(type, handler));
+    };
+    
+    if (this.options.reducedMotion && window.matchMedia) {
+      const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+      const update = () => this.setReducedMotion(query.matches);
+      if (query.addEventListener) {
+        listen(query, 'change', update);
+      } else if (query.addListener) {
+        // Older Safari
+        query.addListener(update);
+        handlers.push(() => query.removeListener(update));
+      }
+      update();
+    }
+    
+    if (this.options.pauseWhenHidden) {
+      const update = () => this.setPaused('hidden', document.hidden);
+      listen(document, 'visibilitychange', update);
+      update();
+    }
+    
+    // A fixed, full-viewport canvas is always in view; a container can scroll out of it
+    if (this.options.pauseWhenOffscreen && this.options.mode === 'container' && this.container && typeof IntersectionObserver !== 'undefined') {
+      const observer = new IntersectionObserver(entries => {
+        this.setPaused('offscreen', !entries[entries.length - 1].isIntersecting);
+      });
+      observer.observe(this.container);
+      handlers.push(() => observer.disconnect());
+    }
+    
+    if (this.options.batterySaver && typeof navigator !== 'undefined' && navigator.getBattery) {
+      navigator.getBattery().then(battery => {
+        if (handlers !== this.policyHandlers) return; // Torn down in the meantime
+        const update = () => this.setQuantityScale('battery', !battery.charging && battery.level <= 0.2 ? 0.5 : 1);
+        listen(battery, 'levelchange', update);
+        listen(battery, 'chargingchange', update);
+        update();
+      }).catch(() => {});
+    }
+    
+    this.policyHandlers = handlers;
+  }
+
+  teardownPolicies() {
+    if (this.policyHandlers) {
+      this.policyHandlers.forEach(remove => remove());
+      this.policyHandlers = null;
+    }
+    ['hidden', 'offscreen'].forEach(reason => this.setPaused(reason, false));
+    this.setReducedMotion(false);
+    this.setQuantityScale('battery', 1);
+  }
+
   destroy() {
     this.stop();
+    this.fire('destroy');
+    clearTimeout(this.scheduleTimer);
+    this.schedule = null;
+    this.destroyWorker();
     if (this.resizeHandler) {
       window.removeEventListener('resize', this.resizeHandler);
       this.resizeHandler = null;
     }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    if (this.containerPosition !== undefined) {
+      this.container.style.position = this.containerPosition;
+      this.containerPosition = undefined;
+    }
+    if (this.accumulation) {
+      this.accumulation.destroy();
+      this.accumulation = null;
+    }
+    this.sprites.clear();
+    if (this.webgl) {
+      this.webgl.destroy();
+      this.webgl = null;
+    }
+    if (this.scrollHandler) {
+      window.removeEventListener('scroll', this.scrollHandler);
+      this.scrollHandler = null;
+    }
+    this.teardownInteraction();
+    this.teardownParallax();
+    if (this.policyHandlers) {
+      this.policyHandlers.forEach(remove => remove());
+      this.policyHandlers = null;
+    }
+    this.secondary.clear();
     if (this.canvas && this.canvas.parentNode) {
       this.canvas.parentNode.removeChild(this.canvas);
     }
     this.particles = [];
     this.canvas = null;
     this.ctx = null;
+    this.listeners = {};
+  }
+
+  // Set the base wind vector (pixels per 60 Hz frame; positive x blows right)
+  setWind(x, y = 0) {
+    // Keep the options in sync so reset()/renderAt() reproduce it
+    this.options.wind = { ...this.options.wind, x: x, y: y };
+    if (this.forwardToWorker('setWind', [x, y])) return;
+    this.wind.set(x, y);
+  }
+
+  // Trigger a gust that builds up and dies down over `duration` milliseconds.
+  // strength is a horizontal strength or an { x, y } vector
+  gust(strength = 3, duration = 2000) {
+    if (this.forwardToWorker('gust', [strength, duration])) return;
+    this.wind.gust(strength, duration);
+  }
+
+  // Remove all settled snow and leaves
+  clearAccumulation() {
+    if (this.forwardToWorker('clearAccumulation', [])) return;
+    if (this.accumulation) {
+      this.accumulation.clear();
+    }
+  }
+
+  /**
+   * Change season gradually. The current particles stop respawning and fade out while
+   * particles of the new season fade in across the screen, so both mix for a while.
+   *
+   * @param {string} season - Season or registered effect name
+   * @param {Object} [options]
+   * @param {number} [options.duration=2000] - Length of the transition in milliseconds
+   * @param {string|Function} [options.easing='easeInOut'] - 'linear', 'easeIn', 'easeOut',
+   *   'easeInOut' or a function mapping progress 0..1 to 0..1
+   */
+  transitionTo(season, { duration = 2000, easing = 'easeInOut' } = {}) {
+    if (!effects[season]) {
+      throw new Error(`Unknown season: ${season}`);
+    }
+    this.options.season = season;
+    if (this.forwardToWorker('transitionTo', [season, { duration: duration, easing: typeof easing === 'function' ? undefined : easing }])) {
+      return;
+    }
+    this.layers = this.resolveLayers();
+    this.startTransition(duration, typeof easing === 'function' ? easing : (EASINGS[easing] || EASINGS.easeInOut));
+  }
+
+  // Retire the particles that no longer match their layer's season (or whose layer is gone),
+  // or all of them with replaceAll, and ramp the layers back up to their quantity
+  startTransition(duration, easing, replaceAll = false) {
+    const from = this.particles.filter(particle => {
+      const layer = this.layers[particle.layer];
+      return !particle.retired && (replaceAll || !layer || layer.season !== particle.effect);
+    });
+    from.forEach(particle => {
+      particle.retired = true;
+      particle.fadeRate = 0; // The transition drives their fade from here on
+    });
+    // A transition still in progress hands over the particles it was fading out; they carry on
+    // from their current fade instead of being left behind
+    const fading = this.transition ? this.transition.from.filter(particle => particle.fade > 0) : [];
+    this.transition = {
+      from: fading.concat(from),
+      elapsed: 0,
+      duration: Math.max(1, duration),
+      easing: easing
+    };
+  }
+
+  updateTransition(dt) {
+    const transition = this.transition;
+    transition.elapsed += dt;
+    const t = Math.min(1, transition.elapsed / transition.duration);
+    const progress = transition.easing(t);
+    
+    // The old particles fade out as the new ones ramp up
+    transition.from.forEach(particle => {
+      particle.fade = Math.min(particle.fade, 1 - progress);
+    });
+    
+    let added = false;
+    this.layers.forEach((layer, index) => {
+      const current = this.particles.filter(particle => particle.layer === index && !particle.retired).length;
+      const target = Math.round(layer.quantity * progress);
+      for (let i = current; i < target; i++) {
+        const particle = this.createParticle(layer.season, this.random() * (this.height || 600), index);
+        particle.fade = 0;
+        particle.fadeRate = 4 / transition.duration;
+        this.particles.push(particle);
+        added = true;
+      }
+    });
+    if (added) {
+      this.sortByDepth();
+    }
+    
+    if (t === 1) {
+      this.transition = null;
+    }
   }
 
+  // Re-check the calendar (see auto()) and move to the season it gives
+  applySchedule() {
+    const schedule = this.schedule;
+    if (!schedule) return;
+    const season = SeasonalAnimation.seasonFor(schedule.now(), { hemisphere: schedule.hemisphere, schedule: schedule.rules });
+    const current = schedule.season && this.options.season; // null while nothing is shown
+    if (season !== current) {
+      const wasRunning = this.isRunning;
+      if (!season) {
+        this.updateOptions({ quantity: 0 });
+      } else if (!schedule.season) {
+        this.updateOptions({ season: season, quantity: schedule.quantity });
+      } else {
+        this.transitionTo(season, schedule.transition);
+      }
+      if (!wasRunning) {
+        this.stop(); // updateOptions() starts the animation
+      }
+    }
+    schedule.season = season;
+    this.scheduleMidnight();
+  }
+
+  scheduleMidnight() {
+    clearTimeout(this.scheduleTimer);
+    const date = this.schedule.now();
+    const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    this.scheduleTimer = setTimeout(() => this.applySchedule(), midnight - date);
+  }
+
+  // Apply option changes in place: particles ease to the new speed, angle and color,
+  // the quantity changes gradually and a new season crossfades with the old one
   updateOptions(newOptions) {
-    this.options = { ...this.options, ...newOptions };
-    this.stop();
-    this.createParticles();
-    this.start();
+    validateOptions(newOptions);
+    CREATION_OPTIONS.forEach(name => {
+      if (newOptions[name] !== undefined && !sameOptionValue(newOptions[name], this.options[name])) {
+        throw new Error(`Option '${name}' can only be set when the animation is created; create a new instance to change it`);
+      }
+    });
+    const previous = this.options;
+    this.options = { ...this.options, ...resolveOptions(newOptions, false) };
+    if (newOptions.wind) {
+      // Fields left out keep their current values, including a base wind set with setWind()
+      this.options.wind = { ...previous.wind, ...newOptions.wind };
+    }
+    this.resolvedDefaults = {};
+    if (this.worker) {
+      this.forwardToWorker('updateOptions', [this.workerOptions(newOptions)]);
+      if (newOptions.colliders !== undefined || newOptions.accumulation !== undefined) {
+        this.postElementRects();
+      }
+      if (newOptions.interaction !== undefined) {
+        this.setupInteraction();
+      }
+      if (newOptions.parallax !== undefined) {
+        this.setupParallax();
+      }
+      if (['reducedMotion', 'pauseWhenHidden', 'pauseWhenOffscreen', 'batterySaver'].some(key => newOptions[key] !== undefined)) {
+        this.setupPolicies();
+      }
+      this.fire('optionsChange', newOptions, previous);
+      this.start(); // The worker's updateOptions() starts its loop; keep isRunning in step
+      return;
+    }
+    if (newOptions.wind) {
+      this.wind.configure(this.options.wind);
+    }
+    if (newOptions.shape !== undefined) {
+      this.shapes = resolveShapes(this.options.shape); // Old particles keep their shapes while they fade out
+    }
+    if (newOptions.accumulation !== undefined) {
+      this.setupAccumulation();
+    }
+    if (newOptions.colliders !== undefined) {
+      this.setupColliders();
+    }
+    if (newOptions.interaction !== undefined) {
+      this.setupInteraction();
+    }
+    
+    if (newOptions.parallax !== undefined) {
+      this.setupParallax();
+    }
+    if (['reducedMotion', 'pauseWhenHidden', 'pauseWhenOffscreen', 'batterySaver'].some(key => newOptions[key] !== undefined)) {
+      this.setupPolicies();
+    }
+    // Switching to 'auto' keeps the current tier until the governor moves it
+    if (newOptions.quality !== undefined && newOptions.quality !== 'auto') {
+      this.applyQuality(newOptions.quality);
+    }
+    
+    if (!effects[this.options.season]) {
+      this.reportError(new Error(`Invalid season: ${this.options.season}. Using 'winter' as default.`));
+      this.options.season = 'winter';
+    }
+    const previousLayers = this.layers;
+    this.layers = this.resolveLayers();
+    const seasonsChanged = this.layers.length !== previousLayers.length ||
+      this.layers.some((layer, index) => layer.season !== previousLayers[index].season);
+    // Sizes, opacities and the like are decided at spawn, so crossfade to freshly spawned particles
+    const retuned = ['size', 'shape', 'seasonDefaults', ...Object.keys(SEASON_OPTIONS)].some(name => name in newOptions);
+    if (seasonsChanged || retuned) {
+      this.startTransition(OPTION_TRANSITION_DURATION, EASINGS.easeInOut, retuned);
+    } else {
+      if (this.layers.some((layer, index) => layer.quantity !== previousLayers[index].quantity)) {
+        this.adjustQuantity();
+      }
+      const recolor = this.options.color !== previous.color || this.options.hueJitter !== previous.hueJitter;
+      if (this.options.speed !== previous.speed || this.options.angle !== previous.angle || recolor) {
+        this.easeParticles(previous.speed ? this.options.speed / previous.speed : 1, recolor);
+      }
+    }
+    this.fire('optionsChange', newOptions, previous);
+    // On a page a change starts the animation. A canvas passed in (headless, or inside the
+    // worker) is run by whoever owns it, with start() or step().
+    if (this.container) {
+      this.start();
+    }
+  }
+
+  /**
+   * Register a particle effect that can then be used as a `season`.
+   * Registering an existing name replaces it (built-ins included).
+   *
+   * @param {string} name - Season name, e.g. 'confetti'
+   * @param {Object} effect
+   * @param {Object} [effect.defaults] - minSize/maxSize, minSpeed/maxSpeed, color, palette, opacity (or minOpacity/maxOpacity),
+   *   sway, rotationSpeed, mass, drag, accumulate, plus any fields of its own (instances can override them all)
+   * @param {Function} [effect.spawn] - (particle, animation) adds effect-specific properties to a new particle
+   * @param {Function} [effect.update] - (particle, dtMs, animation) moves the particle; defaults to falling along the angle
+   * @param {Function} effect.draw - (ctx, particle, color, animation) draws around the origin
+   * @param {Function} [effect.land] - (particle, x, y, animation) called when the particle hits the
+   *   bottom edge or a collider; the particle is recycled afterwards
+   * @param {Object} [effect.sprite] - Lets the effect be drawn from cached sprites: key(particle) identifies
+   *   its look, extent(particle) is its radius in px and optional symmetry(particle, animation) the angle after which it repeats
+   * @param {Object} [effect.webgl] - How the WebGL renderer draws it: key(particle) and extent(particle) as for
+   *   sprite, plus optional pose(particle) (properties to draw the texture with), rotation(particle), scaleX(particle),
+   *   alpha(particle) and blend ('lighter' for additive). Falls back to sprite, then to one texture per particle
+   */
+  static registerEffect(name, effect) {
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Effect name must be a non-empty string');
+    }
+    if (!effect || typeof effect.draw !== 'function') {
+      throw new Error(`Effect '${name}' must provide a draw() function`);
+    }
+
+    effects[name] = {
+      defaults: { ...BASE_EFFECT_DEFAULTS, ...effect.defaults },
+      spawn: effect.spawn || null,
+      update: effect.update || defaultUpdate,
+      draw: effect.draw,
+      land: effect.land || null,
+      sprite: effect.sprite || null,
+      webgl: effect.webgl || null
+    };
+    return SeasonalAnimation;
+  }
+
+  static getEffect(name) {
+    return effects[name] || null;
+  }
+
+  /**
+   * Names of all options, e.g. for wrappers that map props or attributes to options
+   * @returns {string[]}
+   */
+  static optionNames() {
+    return Object.keys(OPTION_SCHEMA);
+  }
+
+  /**
+   * Compare two sets of options, for wrappers that get all of them again on every change
+   * @param {Object} previous - Options the instance was created or last updated with
+   * @param {Object} next - New options
+   * @returns {Object|null} The changed options for updateOptions() (removed ones are undefined,
+   *   i.e. back to their default), or null when one of them (container, renderer, seed, ...)
+   *   only takes effect in a new instance
+   */
+  static diffOptions(previous, next) {
+    const changes = {};
+    Object.keys({ ...previous, ...next }).forEach(name => {
+      if (OPTION_SCHEMA[name] && !sameOptionValue(previous[name], next[name])) {
+        changes[name] = next[name];
+      }
+    });
+    return Object.keys(changes).some(name => CREATION_OPTIONS.indexOf(name) !== -1) ? null : changes;
+  }
+
+  /**
+   * Season for a date: the first matching schedule rule, else the hemisphere's
+   * meteorological season. Returns null when nothing applies (no rule matched and no hemisphere).
+   *
+   * @param {Date} date
+   * @param {Object} [options]
+   * @param {string|null} [options.hemisphere='north'] - 'north', 'south', or null for the schedule only
+   * @param {Array} [options.schedule] - Rules checked in order: { season, from: 'MM-DD', to: 'MM-DD' }
+   *   or { season, when(date) }. A rule's season may be null to show nothing
+   */
+  static seasonFor(date, { hemisphere = 'north', schedule = [] } = {}) {
+    validateSchedule(hemisphere, schedule);
+    const rules = schedule.concat(hemisphere ? SEASON_PRESETS[hemisphere] : []);
+    const rule = rules.find(item => matchesRule(item, date));
+    return rule ? rule.season : null;
+  }
+
+  /**
+   * Create an animation whose season follows the calendar (see seasonFor). The date is
+   * re-checked every midnight and the animation transitions when the season changes;
+   * when no season applies the particles fade out until one does.
+   *
+   * @param {Object} [options] - Constructor options plus:
+   * @param {string|null} [options.hemisphere='north']
+   * @param {Array} [options.schedule]
+   * @param {Function} [options.now] - Returns the current Date; inject it for testing
+   * @param {Object} [options.transition] - { duration, easing } for season changes, see transitionTo()
+   */
+  static auto({ hemisphere = 'north', schedule = [], now = () => new Date(), transition = { duration: 3000 }, ...options } = {}) {
+    // Checked up front, so a bad rule fails here rather than at some midnight months later
+    validateSchedule(hemisphere, schedule);
+    if (typeof now !== 'function') {
+      throw new Error(`Invalid option 'now': expected a function, got ${describeValue(now)}`);
+    }
+    const season = SeasonalAnimation.seasonFor(now(), { hemisphere: hemisphere, schedule: schedule });
+    const animation = new SeasonalAnimation({ ...options, season: season || options.season });
+    animation.schedule = {
+      hemisphere: hemisphere,
+      rules: schedule,
+      now: now,
+      transition: transition,
+      quantity: animation.options.quantity,
+      season: season
+    };
+    if (!season) {
+      animation.options.quantity = 0;
+      animation.createParticles();
+    }
+    animation.scheduleMidnight();
+    return animation;
   }
 }
 
-// Export for CommonJS (Node.js)
+// Milliseconds per reference frame; per-frame speeds in effect defaults are relative to it
+SeasonalAnimation.FRAME_DURATION = FRAME_DURATION;
+
+// Built-in effects
+
+SeasonalAnimation.registerEffect('winter', {
+  defaults: {
+    color: '#FFFFFF',
+    palette: ['#FFFFFF', '#FFFFFF', '#F4F8FF', '#EAF2FF'], // Mostly white, some with a faint blue tint
+    minSize: 3,
+    maxSize: 10,
+    minSpeed: 0.3,
+    maxSpeed: 1.5,
+    sway: true,
+    rotationSpeed: 0.01,
+    opacity: 0.8,
+    mass: 1,
+    drag: 0.05,
+    accumulate: 'pile'
+  },
+  spawn(particle, animation) {
+    // Snowflakes get unique pattern properties with much more variation
+    // Different base structures
+    particle.snowflakeType = Math.floor(animation.random() * 6); // 6 different base types
+    particle.armCount = animation.random() > 0.7 ? 8 : 6; // 30% have 8 arms, 70% have 6
+    
+    // Branch positions - much more variation
+    particle.branch1Pos = 0.2 + animation.random() * 0.3; // Position of first branch (0.2-0.5)
+    particle.branch2Pos = 0.5 + animation.random() * 0.3; // Position of second branch (0.5-0.8)
+    particle.branch3Pos = animation.random() > 0.6 ? (0.7 + animation.random() * 0.2) : 0; // Third branch for some (0.7-0.9)
+    
+    // Branch lengths - much more variation
+    particle.branch1Length = 0.1 + animation.random() * 0.25; // Length of first branch (0.1-0.35)
+    particle.branch2Length = 0.08 + animation.random() * 0.22; // Length of second branch (0.08-0.3)
+    particle.branch3Length = particle.branch3Pos > 0 ? (0.06 + animation.random() * 0.1) : 0; // Third branch length
+    
+    // Branch angles - more dramatic
+    particle.branch1Angle = (animation.random() - 0.5) * 1.2; // Angle variation (-0.6 to 0.6 radians)
+    particle.branch2Angle = (animation.random() - 0.5) * 1.0;
+    particle.branch3Angle = particle.branch3Pos > 0 ? (animation.random() - 0.5) * 0.8 : 0;
+    
+    // Number of branches per arm
+    particle.numBranches1 = Math.floor(animation.random() * 3) + 1; // 1-3 branches at first position
+    particle.numBranches2 = Math.floor(animation.random() * 3) + 1; // 1-3 branches at second position
+    
+    // Center design
+    particle.centerType = Math.floor(animation.random() * 4); // 0=none, 1=circle, 2=hexagon, 3=star
+    particle.centerSize = 0.08 + animation.random() * 0.15; // Center size (0.08-0.23)
+    
+    // Arm properties
+    particle.armThickness = 0.6 + animation.random() * 0.6; // Arm thickness multiplier (0.6-1.2)
+    particle.armStyle = Math.floor(animation.random() * 3); // 0=straight, 1=tapered, 2=curved
+    
+    // Pattern decorations
+    particle.patternType = Math.floor(animation.random() * 5); // 5 different decorative patterns
+    particle.hasDots = animation.random() > 0.5; // 50% have dots
+    particle.hasSpikes = animation.random() > 0.4; // 60% have spikes
+    particle.hasVShapes = animation.random() > 0.5; // 50% have V shapes
+    
+    // Decoration details are decided once here so they don't change from frame to frame
+    const numDots = Math.floor(animation.random() * 3) + 2; // 2-4 dots
+    particle.dotSizes = [];
+    for (let j = 0; j < numDots; j++) {
+      particle.dotSizes.push(0.4 + animation.random() * 0.3); // Dot radius relative to the line width
+    }
+    particle.numSpikes = Math.floor(animation.random() * 2) + 1; // 1-2 spikes
+    particle.numVShapes = Math.floor(animation.random() * 2) + 1; // 1-2 V shapes
+    
+    // Tip variations
+    particle.tipStyle = Math.floor(animation.random() * 4); // Different tip styles
+    particle.tipLength = 0.05 + animation.random() * 0.1; // Tip extension length
+  },
+  update(particle, dt, animation) {
+    // Snowflakes: gentle swaying, slow rotation
+    const frames = dt / FRAME_DURATION;
+    const time = animation.time / FRAME_DURATION; // Simulated time in reference frames
+    const windEffect = Math.sin(particle.swayOffset + time * particle.swaySpeed) * particle.swayAmount;
+    fallAlongAngle(particle, frames);
+    animation.applyWind(particle, dt);
+    particle.x += (windEffect + particle.windX) * frames;
+    particle.rotation += particle.rotationSpeed * frames;
+    // Add slight vertical wobble
+    particle.x += Math.sin(time * 0.01 + particle.swayOffset) * particle.turbulence * frames;
+  },
+  draw(ctx, particle, color, animation) {
+    // Snowflake - more detailed design with unique patterns
+    animation.drawSnowflake(particle, color);
+  },
+  // Each flake's geometry is fixed at spawn, so it can be rendered once and reused
+  sprite: {
+    key: (particle) => particle.id,
+    extent: (particle) => particle.size * (1 + particle.tipLength) + Math.max(0.6, particle.size / 12) * particle.armThickness,
+    symmetry: (particle, animation) => (Math.PI * 2) / snowflakeArms(particle, animation)
+  },
+  // On the GPU flakes share 256 textures, so thousands of them fit in the atlas
+  webgl: {
+    key: (particle) => particle.id % 256,
+    extent: (particle) => particle.size * (1 + particle.tipLength) + Math.max(0.6, particle.size / 12) * particle.armThickness
+  }
+});
+
+SeasonalAnimation.registerEffect('rainy', {
+  defaults: {
+    color: '#87CEEB',
+    palette: ['#87CEEB', '#9BD4EE', '#7FBFE0', '#A9DAF0'],
+    minSize: 1.5,
+    maxSize: 3,
+    minSpeed: 4,
+    maxSpeed: 10,
+    sway: false,
+    rotationSpeed: 0,
+    opacity: 0.7,
+    mass: 3,
+    drag: 0.08,
+    trailLength: 15 // Streak length in drop sizes (plus up to 10px)
+  },
+  spawn(particle, animation) {
+    // Trail effect
+    particle.trailLength = particle.size * animation.defaultsFor(particle.effect).trailLength + animation.random() * 10;
+    particle.heading = particle.angle;
+  },
+  update(particle, dt, animation) {
+    // Rain: straight fast fall, no rotation, slanted by the wind
+    const frames = dt / FRAME_DURATION;
+    fallAlongAngle(particle, frames);
+    animation.applyWind(particle, dt);
+    // Add slight horizontal drift from wind
+    particle.x += particle.windX * 0.5 * frames;
+    // Point the streak along the drop's actual direction of travel
+    particle.heading = Math.atan2(
+      Math.sin(particle.angle) * particle.speed + particle.vx + particle.windX * 0.5,
+      Math.cos(particle.angle) * particle.speed + particle.vy
+    );
+    // The streak trails below the drop's position, so impacts happen at its far end
+    particle.leadY = Math.cos(particle.heading) * particle.trailLength;
+  },
+  land(particle, x, y, animation) {
+    const splash = animation.options.splash;
+    const probability = splash && splash.probability !== undefined ? splash.probability : 0.5;
+    if (!splash || animation.random() >= probability) return;
+    
+    // Splash droplets thrown up and outwards, plus a ripple where the drop hit
+    const intensity = splash.intensity !== undefined ? splash.intensity : 1;
+    const count = Math.round((2 + animation.random() * 3) * intensity);
+    for (let i = 0; i < count; i++) {
+      animation.emit('droplet', {
+        x: x,
+        y: y - 1,
+        vx: (animation.random() - 0.5) * 3 * intensity + particle.vx * 0.3,
+        vy: -(1 + animation.random() * 2) * intensity,
+        size: Math.max(0.6, particle.size * 0.35),
+        color: particle.color,
+        opacity: particle.opacity,
+        life: 250 + animation.random() * 200
+      });
+    }
+    animation.emit('ripple', {
+      x: x,
+      y: y,
+      size: particle.size * 4 * intensity,
+      color: particle.color,
+      opacity: particle.opacity,
+      life: 400 + animation.random() * 200
+    });
+  },
+  draw(ctx, particle, color, animation) {
+    // Rain drop - streak with gradient
+    animation.drawRainDrop(particle, color);
+  },
+  // Drawn pointing straight down and turned to the heading on the GPU
+  webgl: {
+    key: (particle) => Math.round(particle.size * 2),
+    extent: (particle) => particle.trailLength + particle.size,
+    pose: () => ({ heading: 0 }),
+    rotation: (particle) => -particle.heading
+  }
+});
+
+SeasonalAnimation.registerEffect('fall', {
+  defaults: {
+    color: '#FF8C00',
+    palette: ['#B83A1E', '#D9531E', '#FF8C00', '#FFB000', '#8B4513', '#A0522D'], // Red, orange, amber and brown
+    minSize: 10,
+    maxSize: 25,
+    minSpeed: 0.8,
+    maxSpeed: 2.5,
+    sway: false,
+    rotationSpeed: 0.02,
+    opacity: 0.9,
+    mass: 0.6,
+    drag: 0.06,
+    accumulate: 'litter'
+  },
+  spawn(particle, animation) {
+    particle.leafType = Math.floor(animation.random() * 3); // Different leaf shapes
+    
+    // Flutter physics
+    particle.spin = particle.rotation; // Rotation before the swing's tilt is added
+    particle.flutterPhase = animation.random() * Math.PI * 2;
+    particle.flutterSpeed = 0.03 + animation.random() * 0.03; // Swing rate (radians per frame)
+    particle.flutterAmount = 0.8 + animation.random() * 1.2; // Peak sideways speed of the swing
+    particle.tumbles = animation.random() < 0.3; // 30% tumble end over end, the rest rock back and forth
+    particle.flipBase = animation.random() * Math.PI;
+    particle.rotationX = animation.options.physics === 'simple' ? 0 : particle.flipBase; // Simple leaves stay flat
+    particle.rotationXSpeed = (0.03 + animation.random() * 0.05) * (animation.random() < 0.5 ? -1 : 1);
+  },
+  update(particle, dt, animation) {
+    const frames = dt / FRAME_DURATION;
+    
+    if (animation.options.physics === 'simple') {
+      // Leaves: simple fall, blown around by the wind
+      defaultUpdate(particle, dt, animation);
+      // Strong wind sets them spinning
+      particle.rotation += particle.vx * 0.01 * frames;
+      return;
+    }
+    
+    // Swing side to side like a pendulum: the leaf glides down through the middle
+    // of each swing and stalls, nearly hovering, at the ends
+    particle.flutterPhase += particle.flutterSpeed * frames;
+    const swing = Math.cos(particle.flutterPhase);
+    // Edge-on leaves catch less air and drop faster
+    const edgeOn = 1 - Math.abs(Math.cos(particle.rotationX));
+    const descent = (0.25 + 1.1 * swing * swing) * (1 + 0.5 * edgeOn);
+    
+    particle.x += (Math.sin(particle.angle) * particle.speed + swing * particle.flutterAmount) * frames;
+    particle.y += Math.cos(particle.angle) * particle.speed * descent * frames;
+    animation.applyWind(particle, dt);
+    
+    // Tilt into the swing on top of a slow spin; strong wind spins it faster
+    particle.spin += (particle.rotationSpeed + particle.vx * 0.01) * frames;
+    particle.rotation = particle.spin + Math.sin(particle.flutterPhase) * 0.5;
+    
+    // Flip: tumblers turn over continuously (faster in wind), the rest rock about their resting tilt
+    if (particle.tumbles) {
+      particle.rotationX += particle.rotationXSpeed * (1 + Math.abs(particle.vx) * 0.3) * frames;
+    } else {
+      particle.rotationX = particle.flipBase + Math.sin(particle.flutterPhase) * 0.9;
+    }
+  },
+  draw(ctx, particle, color, animation) {
+    // Leaf - rotated and flipped in pseudo-3D
+    animation.drawLeaf(particle, color);
+  },
+  // Front and underside textures, squashed per instance for the flip
+  webgl: {
+    key: (particle) => `${particle.leafType}:${Math.cos(particle.rotationX) < 0 ? 'under' : 'front'}`,
+    extent: (particle) => particle.size,
+    pose: (particle) => ({ rotationX: Math.cos(particle.rotationX) < 0 ? Math.PI : 0 }),
+    scaleX: (particle) => Math.max(0.08, Math.abs(Math.cos(particle.rotationX)))
+  }
+});
+
+SeasonalAnimation.registerEffect('spring', {
+  defaults: {
+    color: '#FFB7C5',
+    palette: ['#FFB7C5', '#FFC9D4', '#FFA6B9', '#FCE1E8'],
+    minSize: 5,
+    maxSize: 11,
+    minSpeed: 0.4,
+    maxSpeed: 1.2,
+    sway: true,
+    rotationSpeed: 0.03,
+    opacity: 0.85,
+    mass: 0.4,
+    drag: 0.06,
+    accumulate: 'litter'
+  },
+  spawn(particle, animation) {
+    // Mostly cherry blossom petals, with the odd grain of pollen drifting between them
+    particle.isPollen = animation.random() < 0.15;
+    if (particle.isPollen) {
+      particle.speed *= 0.5;
+    }
+    particle.flutter = animation.random() * Math.PI * 2;
+    particle.flutterSpeed = 0.04 + animation.random() * 0.06;
+  },
+  update(particle, dt, animation) {
+    // Petals: drift on the breeze and flutter while they turn
+    const frames = dt / FRAME_DURATION;
+    const time = animation.time / FRAME_DURATION;
+    fallAlongAngle(particle, frames);
+    animation.applyWind(particle, dt);
+    particle.x += (Math.sin(particle.swayOffset + time * particle.swaySpeed) * particle.swayAmount + particle.windX) * frames;
+    particle.rotation += particle.rotationSpeed * frames;
+    particle.flutter += particle.flutterSpeed * frames;
+  },
+  draw(ctx, particle, color, animation) {
+    animation.drawPetal(particle, color);
+  },
+  webgl: {
+    key: (particle) => (particle.isPollen ? 'pollen' : 'petal'),
+    extent: (particle) => particle.size,
+    pose: () => ({ flutter: 0 }),
+    scaleX: (particle) => (particle.isPollen ? 1 : 0.3 + 0.7 * Math.abs(Math.cos(particle.flutter)))
+  }
+});
+
+SeasonalAnimation.registerEffect('summer', {
+  defaults: {
+    color: '#F4FF7A',
+    palette: ['#F4FF7A', '#E6FF66', '#FFF07A'],
+    minSize: 2,
+    maxSize: 4,
+    minSpeed: 0.2,
+    maxSpeed: 0.6,
+    sway: false,
+    rotationSpeed: 0,
+    opacity: 0.9,
+    // Fireflies fly under their own power and only drift a little with the wind
+    mass: 1,
+    drag: 0.015
+  },
+  spawn(particle, animation) {
+    // Fireflies hover across the whole screen instead of entering from the top
+    particle.y = particle.prevY = animation.random() * animation.height;
+    particle.heading = animation.random() * Math.PI * 2;
+    particle.pulse = animation.random() * Math.PI * 2;
+    particle.pulseSpeed = 0.02 + animation.random() * 0.04;
+    particle.glow = 1;
+  },
+  update(particle, dt, animation) {
+    // Fireflies: wander in slowly turning curves and pulse their light
+    const frames = dt / FRAME_DURATION;
+    particle.heading += (animation.random() - 0.5) * 0.2 * frames;
+    particle.x += Math.cos(particle.heading) * particle.speed * frames;
+    particle.y += Math.sin(particle.heading) * particle.speed * frames;
+    animation.applyWind(particle, dt);
+    particle.pulse += particle.pulseSpeed * frames;
+    // Mostly dim with short bright flashes
+    particle.glow = Math.pow(0.5 + 0.5 * Math.sin(particle.pulse), 3);
+    
+    // Wrap back to the bottom when drifting off the top
+    if (particle.y < -particle.size) {
+      particle.y = particle.prevY = animation.height + particle.size;
+    }
+  },
+  draw(ctx, particle, color, animation) {
+    animation.drawFirefly(particle, color);
+  },
+  webgl: {
+    key: () => 'firefly',
+    extent: (particle) => particle.size * 4,
+    pose: () => ({ glow: 1 }),
+    alpha: (particle) => particle.glow,
+    blend: 'lighter'
+  }
+});
+
+// Export for CommonJS (Node.js, bundlers)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SeasonalAnimation;
-}
-
-// Export for browser global (when loaded via script tag)
-if (typeof window !== 'undefined') {
-  window.SeasonalAnimation = SeasonalAnimation;
+} else if (typeof self !== 'undefined') {
+  // Global when loaded with a script tag, or with importScripts() in src/worker.js. Only
+  // here, so importing the module (e.g. during server-side rendering) leaves globals alone.
+  self.SeasonalAnimation = SeasonalAnimation;
 }
 
 // Also export for ES6 modules if supported
@@ -707,3 +4826,4 @@ if (typeof exports !== 'undefined') {
   exports.SeasonalAnimation = SeasonalAnimation;
 }
 
+})();
@@ -0,0 +1,90 @@
+/**
+ * React bindings: a useSeasonalAnimation() hook and a <SeasonalAnimation> component
+ * Props are options; changes go through updateOptions() and unmounting calls destroy()
+ */
+
+const React = require('react');
+const SeasonalAnimation = require('./index.js');
+
+const { createElement, forwardRef, useEffect, useImperativeHandle, useRef, useState } = React;
+
+/**
+ * Create, start and destroy an animation with the component that uses it
+ * @param {Object} [options] - Animation options, compared on every render; changes are applied
+ *   with updateOptions(), or by creating a new instance for container, renderer, seed and the like.
+ *   Functions (color, onQualityChange) always run as last passed and never count as changes.
+ * @param {Object} [containerRef] - Ref of the element to draw in; without one (and without
+ *   options.container) the returned ref is used, or the page body if that isn't attached
+ * @returns {{ ref: Object, animation: SeasonalAnimation|null }} animation is null until mounted
+ */
+function useSeasonalAnimation(options = {}, containerRef = null) {
+  const ownRef = useRef(null);
+  const ref = containerRef || ownRef;
+  const [animation, setAnimation] = useState(null);
+  const [generation, setGeneration] = useState(0); // Bumped to create a new instance
+  const latest = useRef(options);
+  const applied = useRef(null); // Options the current instance has
+  const callers = useRef({}); // Option name -> stable function calling the latest prop
+  latest.current = options;
+
+  // Function options are passed as stable wrappers that call whatever the latest render passed,
+  // so an inline color={(particle) => ...} doesn't count as a change on every render
+  const withCallers = (values) => {
+    const result = { ...values };
+    Object.keys(result).forEach(name => {
+      if (typeof result[name] !== 'function') return;
+      if (!callers.current[name]) {
+        callers.current[name] = (...args) => {
+          const handler = latest.current[name];
+          return typeof handler === 'function' ? handler(...args) : undefined;
+        };
+      }
+      result[name] = callers.current[name];
+    });
+    return result;
+  };
+
+  useEffect(() => {
+    const current = withCallers(latest.current);
+    const instance = new SeasonalAnimation({ ...current, container: current.container || ref.current || undefined });
+    applied.current = current;
+    instance.start();
+    setAnimation(instance);
+    return () => instance.destroy();
+  }, [generation]);
+
+  useEffect(() => {
+    if (!animation) return;
+    const current = withCallers(options);
+    const changes = SeasonalAnimation.diffOptions(applied.current, current);
+    if (changes === null) {
+      setGeneration(value => value + 1);
+      return;
+    }
+    applied.current = current;
+    if (Object.keys(changes).length > 0) {
+      animation.updateOptions(changes);
+    }
+  });
+
+  return { ref: ref, animation: animation };
+}
+
+/**
+ * <SeasonalAnimation season="winter" quantity={80} />
+ * Renders a div the canvas is added to (fixed over the viewport, or filling the div with
+ * mode="container"). className and style go to the div; a ref gets the animation instance.
+ */
+const SeasonalAnimationComponent = forwardRef(function SeasonalAnimationComponent(props, ref) {
+  const { className, style, children, ...options } = props;
+  const { ref: containerRef, animation } = useSeasonalAnimation(options);
+  useImperativeHandle(ref, () => animation, [animation]);
+  return createElement('div', { ref: containerRef, className: className, style: style });
+});
+SeasonalAnimationComponent.displayName = 'SeasonalAnimation';
+
+module.exports = {
+  SeasonalAnimation: SeasonalAnimationComponent,
+  useSeasonalAnimation: useSeasonalAnimation
+};
+module.exports.default = SeasonalAnimationComponent;
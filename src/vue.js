@@ -0,0 +1,89 @@
+/**
+ * Vue 3 component: <SeasonalAnimation season="winter" :quantity="80" />
+ * Props are options; changes go through updateOptions() and unmounting calls destroy()
+ */
+
+const { defineComponent, h, onBeforeUnmount, onMounted, ref, toRaw, watch } = require('vue');
+const SeasonalAnimation = require('./index.js');
+
+// Options that take true, with the other types they accept. Boolean comes first, so a bare
+// attribute (<SeasonalAnimation interaction />) is true rather than ''. Options that only take
+// false (splash, parallax, reducedMotion) aren't listed: Vue would turn a bare one into true.
+const BOOLEAN_OPTIONS = {
+  sway: [Boolean],
+  accumulation: [Boolean, Object],
+  interaction: [Boolean, String, Object],
+  pauseWhenHidden: [Boolean],
+  pauseWhenOffscreen: [Boolean],
+  adaptiveQuantity: [Boolean, Object],
+  batterySaver: [Boolean],
+  sprites: [Boolean]
+};
+
+// Every option is a prop, left undefined (the option's default) unless it's bound. The explicit
+// default also keeps Vue from turning a missing boolean prop into false.
+const props = {};
+SeasonalAnimation.optionNames().forEach(name => {
+  props[name] = { type: BOOLEAN_OPTIONS[name] || null, default: undefined };
+});
+
+const SeasonalAnimationComponent = defineComponent({
+  name: 'SeasonalAnimation',
+  props: props,
+  setup(componentProps, { expose }) {
+    const host = ref(null);
+    let animation = null;
+    let applied = null; // Options the current instance has
+
+    const currentOptions = () => {
+      const options = {};
+      Object.keys(props).forEach(name => {
+        if (componentProps[name] !== undefined) {
+          options[name] = toRaw(componentProps[name]);
+        }
+      });
+      return options;
+    };
+    const create = () => {
+      applied = currentOptions();
+      animation = new SeasonalAnimation({ ...applied, container: applied.container || host.value });
+      animation.start();
+    };
+
+    onMounted(create);
+    onBeforeUnmount(() => {
+      if (animation) {
+        animation.destroy();
+        animation = null;
+      }
+    });
+    watch(currentOptions, (options) => {
+      if (!animation) return;
+      const changes = SeasonalAnimation.diffOptions(applied, options);
+      if (changes === null) {
+        animation.destroy();
+        create();
+        return;
+      }
+      applied = options;
+      if (Object.keys(changes).length > 0) {
+        animation.updateOptions(changes);
+      }
+    });
+
+    // A template ref on the component reaches the instance as .animation
+    expose({
+      get animation() {
+        return animation;
+      }
+    });
+
+    // The canvas goes in this div: fixed over the viewport, or filling it with mode="container"
+    return () => h('div', { ref: host });
+  }
+});
+
+module.exports = {
+  SeasonalAnimation: SeasonalAnimationComponent
+};
+module.exports.default = SeasonalAnimationComponent;
@@ -0,0 +1,42 @@
+/**
+ * Worker side of `renderer: 'worker'`
+ * Runs the simulation and draws into the OffscreenCanvas transferred by the page
+ */
+
+importScripts('index.js');
+
+// Methods the page may call on the worker's instance
+const METHODS = [
+  'start', 'stop', 'updateOptions', 'transitionTo', 'setWind', 'gust', 'clearAccumulation', 'burst', 'reset', 'renderAt',
+  'handleResize', 'setElementRects', 'setPointer', 'setParallaxSource', 'setPaused', 'setQuantityScale', 'setReducedMotion',
+  'setQuality', 'step'
+];
+
+let animation = null;
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'init') {
+    // Scripts registering custom effects, resolved against the page that sent them
+    if (message.scripts && message.scripts.length > 0) {
+      importScripts(...message.scripts);
+    }
+    animation = new self.SeasonalAnimation({
+      ...message.options,
+      canvas: message.canvas,
+      // Functions can't be posted, so tier changes are reported back to the page
+      onQualityChange: (quality, previous) => self.postMessage({ type: 'qualityChange', quality: quality, previous: previous }),
+      width: message.width,
+      height: message.height
+    });
+    // Problems found after startup, such as an unknown season passed to updateOptions()
+    animation.on('error', (error) => self.postMessage({ type: 'error', message: error.message }));
+    self.postMessage({ type: 'ready' });
+    return;
+  }
+
+  if (message.type === 'call' && animation && METHODS.indexOf(message.method) !== -1) {
+    animation[message.method](...message.args);
+  }
+};
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadless, run } = require('./helpers/headless');
+
+test('hsl() takes saturation and lightness with or without %', () => {
+  const animation = createHeadless({ quantity: 0 });
+  assert.strictEqual(animation.toRgba('hsl(120 100% 50%)'), 'rgba(0, 255, 0, 1)');
+  assert.strictEqual(animation.toRgba('hsl(120 100 50)'), 'rgba(0, 255, 0, 1)');
+  assert.strictEqual(animation.toRgba('hsl(120, 100, 50)'), 'rgba(0, 255, 0, 1)');
+  assert.strictEqual(animation.toRgba('hsla(240, 100%, 25%, 0.5)'), 'rgba(0, 0, 128, 0.5)');
+  assert.strictEqual(animation.toRgba('hsl(240 100 25 / 50%)'), 'rgba(0, 0, 128, 0.5)');
+});
+
+test('hwb() takes whiteness and blackness with or without %', () => {
+  const animation = createHeadless({ quantity: 0 });
+  assert.strictEqual(animation.toRgba('hwb(120 0% 0%)'), 'rgba(0, 255, 0, 1)');
+  assert.strictEqual(animation.toRgba('hwb(120 0 0)'), 'rgba(0, 255, 0, 1)');
+  assert.strictEqual(animation.toRgba('hwb(0, 50, 50)'), 'rgba(128, 128, 128, 1)');
+  assert.strictEqual(animation.toRgba('hwb(0 20 0 / 0.5)'), 'rgba(255, 51, 51, 0.5)');
+});
+
+test('a color function returning something else is reported once', () => {
+  const animation = createHeadless({ quantity: 0 });
+  const errors = [];
+  animation.on('error', (error) => errors.push(error.message));
+  animation.updateOptions({ season: 'fall', quantity: 10, color: (particle) => particle.size > 0 ? 'reddish' : 'red' });
+  run(animation, 3000); // Let the new particles ramp up
+  assert.strictEqual(animation.particles.length, 10);
+  assert.ok(animation.particles.every(particle => particle.color === '#FF8C00'));
+  assert.deepStrictEqual(errors, ["The color function returned 'reddish', which isn't a CSS color. Using #FF8C00 instead."]);
+});
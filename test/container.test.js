@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Element, body, frames, resize } = require('./helpers/dom');
+const SeasonalAnimation = require('../src/index.js');
+
+const instances = [];
+test.afterEach(() => instances.splice(0).forEach(animation => animation.destroy()));
+
+function create(container, options = {}) {
+  const animation = new SeasonalAnimation({ container: container, mode: 'container', season: 'winter', quantity: 30, seed: 3, ...options });
+  instances.push(animation);
+  return animation;
+}
+
+test('fills the container and follows its size', () => {
+  const container = body.appendChild(new Element(400, 300));
+  const animation = create(container);
+  assert.strictEqual(animation.canvas.width, 400);
+  assert.strictEqual(animation.canvas.height, 300);
+  resize(container, 200, 100);
+  assert.strictEqual(animation.width, 200);
+  assert.strictEqual(animation.height, 100);
+});
+
+test('a container without a size waits for one', () => {
+  const container = body.appendChild(new Element(0, 0));
+  const animation = create(container);
+  animation.start();
+  assert.strictEqual(animation.width, 0);
+  assert.strictEqual(animation.animationId, null);
+  frames(5);
+  assert.strictEqual(animation.frameCount, 0);
+
+  resize(container, 500, 200);
+  assert.strictEqual(animation.width, 500);
+  assert.strictEqual(animation.height, 200);
+  // Spread over the new size rather than bunched up where the empty container was
+  const columns = new Set(animation.particles.map(particle => Math.floor(particle.x / 100)));
+  assert.ok(columns.size >= 4, `particles in ${columns.size} of 5 columns`);
+  frames(5);
+  assert.ok(animation.frameCount > 0);
+
+  // And pauses again when it loses it
+  resize(container, 0, 200);
+  assert.strictEqual(animation.width, 500);
+  assert.strictEqual(animation.animationId, null);
+});
+
+test('a paused animation is drawn again after a resize clears the canvas', (t) => {
+  window.matchMedia = () => ({ matches: true, addEventListener() {}, removeEventListener() {} });
+  t.after(() => delete window.matchMedia);
+  const container = body.appendChild(new Element(400, 300));
+  const still = create(container, { reducedMotion: 'static' });
+  still.start();
+  still.canvas.calls = [];
+  resize(container, 500, 200);
+  assert.ok(still.canvas.calls.length > 0, 'the still frame is drawn at the new size');
+  still.destroy();
+
+  delete window.matchMedia;
+  const hidden = create(container);
+  hidden.start();
+  document.hidden = true;
+  t.after(() => { document.hidden = false; });
+  document.dispatch('visibilitychange');
+  assert.strictEqual(hidden.animationId, null);
+  hidden.canvas.calls = [];
+  resize(container, 300, 200);
+  assert.ok(hidden.canvas.calls.length > 0, 'the paused scene is drawn at the new size');
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { body } = require('./helpers/dom');
+const { defineSeasonalAnimationElement } = require('../src/element.js');
+
+const SeasonalAnimationElement = customElements.get('seasonal-animation');
+
+const elements = [];
+test.afterEach(() => elements.splice(0).forEach(element => element.disconnectedCallback()));
+
+function connect(attributes) {
+  const element = new SeasonalAnimationElement();
+  element.clientWidth = 400;
+  element.clientHeight = 300;
+  Object.keys(attributes).forEach(name => {
+    element.attributes[name] = attributes[name];
+  });
+  body.appendChild(element);
+  element.connectedCallback();
+  elements.push(element);
+  return element;
+}
+
+test('is defined when loaded, once', () => {
+  assert.ok(SeasonalAnimationElement);
+  assert.strictEqual(defineSeasonalAnimationElement(), SeasonalAnimationElement);
+  assert.ok(SeasonalAnimationElement.observedAttributes.indexOf('hue-jitter') !== -1);
+});
+
+test('mounts from attributes, updates in place and destroys when removed', () => {
+  const element = connect({ season: 'fall', quantity: '30', 'hue-jitter': '10', color: '["red", "#00f"]', interaction: '', mode: 'container' });
+  const animation = element.animation;
+  assert.strictEqual(animation.container, element);
+  assert.strictEqual(element.style.display, 'block');
+  assert.strictEqual(animation.isRunning, true);
+  assert.strictEqual(animation.options.quantity, 30);
+  assert.strictEqual(animation.options.hueJitter, 10);
+  assert.deepStrictEqual(animation.options.color, ['red', '#00f']);
+  assert.strictEqual(animation.options.interaction, true);
+
+  element.setAttribute('season', 'winter');
+  assert.strictEqual(element.animation, animation);
+  assert.strictEqual(animation.options.season, 'winter');
+  // The same palette written differently isn't a change
+  const updateOptions = animation.updateOptions;
+  animation.updateOptions = () => assert.fail('updateOptions() called');
+  element.setAttribute('color', '["red","#00f"]');
+  animation.updateOptions = updateOptions;
+
+  element.setAttribute('seed', '5');
+  const next = element.animation;
+  assert.notStrictEqual(next, animation);
+  assert.strictEqual(animation.isRunning, false);
+  assert.strictEqual(next.options.seed, 5);
+  assert.strictEqual(element.children.length, 1);
+
+  element.options = { onQualityChange: () => {} };
+  assert.strictEqual(typeof element.animation.options.onQualityChange, 'function');
+
+  element.disconnectedCallback();
+  assert.strictEqual(element.animation, null);
+  assert.strictEqual(next.isRunning, false);
+  assert.strictEqual(element.children.length, 0);
+});
+
+test('invalid attributes throw the option error', () => {
+  const element = connect({ season: 'fall' });
+  assert.throws(() => element.setAttribute('quantity', 'lots'), /Invalid option 'quantity'/);
+});
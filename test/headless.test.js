@@ -0,0 +1,220 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GifReader } = require('omggif');
+const { Canvas } = require('./helpers/canvas');
+const SeasonalAnimation = require('../src/index.js');
+
+const COLORS = ['#ff0000', '#00ff00', '#0000ff', '#ffffff'];
+
+function create(options = {}) {
+  return new SeasonalAnimation({ canvas: new Canvas(), width: 64, height: 40, season: 'winter', seed: 4, quantity: 20, ...options });
+}
+
+// Paints four colored bars, moving with time, so exported frames have known pixels
+function paintBars(animation) {
+  animation.on('beforeDraw', (ctx) => {
+    COLORS.forEach((color, index) => {
+      ctx.fillStyle = color;
+      ctx.fillRect(index * 16 + Math.floor(animation.time / 100) % 4, 10, 8, 20);
+    });
+  });
+}
+
+test('runs without a DOM, sized from the width and height options', () => {
+  assert.strictEqual(typeof window, 'undefined');
+  const animation = create();
+  assert.strictEqual(animation.canvas.width, 64);
+  assert.strictEqual(animation.canvas.height, 40);
+  assert.strictEqual(animation.particles.length, 20);
+  animation.destroy();
+});
+
+test('step() advances simulated time and draws without the frame loop', () => {
+  const animation = create();
+  const drawn = [];
+  animation.on('afterDraw', () => drawn.push(animation.time));
+  animation.step();
+  animation.step(1000);
+  assert.strictEqual(drawn.length, 2);
+  assert.ok(Math.abs(animation.time - 1000 - 1000 / 60) < animation.timeStep, `time ${animation.time}`);
+  assert.strictEqual(animation.animationId, null);
+  animation.destroy();
+});
+
+test('updateOptions() leaves a headless instance to step()', () => {
+  const animation = create();
+  animation.updateOptions({ quantity: 10, speed: 2 });
+  assert.strictEqual(animation.isRunning, false);
+  assert.strictEqual(animation.animationId, null);
+  animation.destroy();
+});
+
+test('fast timeScale values are not capped by the catch-up limit', () => {
+  const animation = create({ timeScale: 10 });
+  const start = animation.time;
+  // What the frame loop passes for one 60 fps frame
+  animation.advance(1000 / 60 * animation.options.timeScale);
+  assert.ok(animation.time - start > 1000 / 60 * 9, `advanced ${animation.time - start} ms`);
+  animation.destroy();
+});
+
+test('step() is deterministic for a seed', () => {
+  const positions = () => {
+    const animation = create();
+    for (let i = 0; i < 30; i++) {
+      animation.step();
+    }
+    const result = animation.particles.map(particle => [particle.x, particle.y]);
+    animation.destroy();
+    return result;
+  };
+  assert.deepStrictEqual(positions(), positions());
+});
+
+test('exportFrames() renders PNG frames at the requested rate', async () => {
+  const animation = create();
+  const frames = await animation.exportFrames({ duration: 500, fps: 10 });
+  assert.strictEqual(frames.length, 5);
+  assert.strictEqual(String(frames[0]), 'image/png:64x40');
+
+  const streamed = [];
+  const collected = await animation.exportFrames({ duration: 300, fps: 10 }, (frame, index, time) => streamed.push([index, time]));
+  assert.deepStrictEqual(collected, []);
+  assert.deepStrictEqual(streamed, [[0, 0], [1, 100], [2, 200]]);
+  animation.destroy();
+});
+
+test('exportFrames() can return raw RGBA frames', async () => {
+  const animation = create({ quantity: 0 });
+  paintBars(animation);
+  const frames = await animation.exportFrames({ duration: 200, fps: 10, format: 'imageData', background: '#202020' });
+  assert.strictEqual(frames.length, 2);
+  assert.strictEqual(frames[0].width, 64);
+  assert.deepStrictEqual(Array.from(frames[0].data.slice(0, 4)), [32, 32, 32, 255]);
+  const red = (20 * 64 + 2) * 4;
+  assert.deepStrictEqual(Array.from(frames[0].data.slice(red, red + 4)), [255, 0, 0, 255]);
+  animation.destroy();
+});
+
+test('exportGif() writes a GIF that decodes to the rendered frames', async () => {
+  const animation = create({ quantity: 0 });
+  paintBars(animation);
+  const gif = await animation.exportGif({ duration: 1000, fps: 15, background: '#202020' });
+  const reader = new GifReader(Buffer.from(gif));
+  assert.strictEqual(reader.width, 64);
+  assert.strictEqual(reader.height, 40);
+  assert.strictEqual(reader.numFrames(), 15);
+  assert.strictEqual(reader.loopCount(), 0);
+  // 1/15 s can't be written in hundredths, so delays alternate to keep the total right
+  const delays = [];
+  for (let i = 0; i < reader.numFrames(); i++) {
+    delays.push(reader.frameInfo(i).delay);
+  }
+  assert.strictEqual(delays.reduce((sum, delay) => sum + delay, 0), 100);
+
+  const pixels = new Uint8Array(64 * 40 * 4);
+  reader.decodeAndBlitFrameRGBA(0, pixels);
+  const pixel = (x, y) => Array.from(pixels.slice((y * 64 + x) * 4, (y * 64 + x) * 4 + 4));
+  assert.deepStrictEqual(pixel(0, 0), [32, 32, 32, 255]);
+  assert.deepStrictEqual(pixel(2, 20), [255, 0, 0, 255]);
+  assert.deepStrictEqual(pixel(18, 20), [0, 255, 0, 255]);
+  assert.deepStrictEqual(pixel(34, 20), [0, 0, 255, 255]);
+  assert.deepStrictEqual(pixel(50, 20), [255, 255, 255, 255]);
+  animation.destroy();
+});
+
+test('exportGif() keeps many colors exact and marks transparency', async () => {
+  const animation = new SeasonalAnimation({ canvas: new Canvas(), width: 160, height: 100, season: 'fall', quantity: 0, seed: 2 });
+  let state = 1;
+  const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+  animation.on('beforeDraw', (ctx) => {
+    state = 1; // Same picture every frame
+    // 64 colors in 2x2 blocks, enough to fill and reset the LZW code table
+    for (let y = 0; y < 100; y += 2) {
+      for (let x = 0; x < 160; x += 2) {
+        ctx.fillStyle = '#' + [0, 0, 0].map(() => (Math.floor(random() * 4) * 85).toString(16).padStart(2, '0')).join('');
+        ctx.fillRect(x, y, 2, 2);
+      }
+    }
+  });
+  const gif = await animation.exportGif({ duration: 100, fps: 10, loop: false });
+  const reader = new GifReader(Buffer.from(gif));
+  assert.strictEqual(reader.loopCount(), null);
+  assert.strictEqual(reader.frameInfo(0).transparent_index, 0);
+  const pixels = new Uint8Array(160 * 100 * 4);
+  reader.decodeAndBlitFrameRGBA(0, pixels);
+  const source = animation.canvas.data;
+  let mismatched = 0;
+  for (let i = 0; i < source.length; i += 4) {
+    if (pixels[i] !== source[i] || pixels[i + 1] !== source[i + 1] || pixels[i + 2] !== source[i + 2]) mismatched++;
+  }
+  assert.strictEqual(mismatched, 0);
+  animation.destroy();
+});
+
+test('exporting leaves the live scene where it was', async () => {
+  const animation = create({ season: 'rainy', accumulation: true });
+  for (let i = 0; i < 40; i++) {
+    animation.step();
+  }
+  const before = animation.particles.map(particle => [particle.id, particle.x, particle.y]);
+  const time = animation.time;
+  const splashes = animation.secondary.active.length;
+  await animation.exportGif({ duration: 500, fps: 10 });
+  assert.deepStrictEqual(animation.particles.map(particle => [particle.id, particle.x, particle.y]), before);
+  assert.strictEqual(animation.time, time);
+  assert.strictEqual(animation.secondary.active.length, splashes);
+  // And carries on the same as one that never exported
+  const other = create({ season: 'rainy', accumulation: true });
+  for (let i = 0; i < 50; i++) {
+    other.step();
+  }
+  for (let i = 0; i < 10; i++) {
+    animation.step();
+  }
+  assert.deepStrictEqual(animation.particles.map(particle => particle.y), other.particles.map(particle => particle.y));
+  animation.destroy();
+  other.destroy();
+});
+
+test('export options are checked', async () => {
+  const animation = create();
+  await assert.rejects(animation.exportGif({ maxColors: 1 }), /maxColors must be from 2 to 256/);
+  await assert.rejects(animation.exportFrames({ format: 'webm' }), /Invalid export format: webm/);
+  await assert.rejects(animation.exportFrames({ fps: 0 }), /duration and fps must be positive/);
+  animation.destroy();
+});
+
+test('image shapes work with Node image classes', () => {
+  class Image {
+    constructor() {
+      this.width = 20;
+      this.height = 10;
+      this.complete = true;
+    }
+  }
+  const canvas = new Canvas();
+  const animation = new SeasonalAnimation({ canvas: canvas, width: 64, height: 40, season: 'fall', quantity: 5, seed: 1, shape: new Image() });
+  assert.strictEqual(animation.shapes[0].kind, 'image');
+  canvas.calls = [];
+  animation.step();
+  assert.strictEqual(canvas.calls.filter(name => name === 'drawImage').length, 5);
+  animation.destroy();
+});
+
+test('path shapes without Path2D give a clear error', (t) => {
+  assert.throws(() => create({ shape: 'M0 0 L10 0 L5 9 Z' }), /SVG path shapes need Path2D/);
+  assert.throws(() => create({ shape: [{ text: '*' }, { path: 'M0 0 L1 1' }] }), /SVG path shapes need Path2D/);
+  // With one from a canvas package they're drawn
+  const paths = [];
+  global.Path2D = class {
+    constructor(path) {
+      paths.push(path);
+    }
+  };
+  t.after(() => delete global.Path2D);
+  const animation = create({ season: 'fall', quantity: 3, shape: 'M0 0 L10 0 L5 9 Z' });
+  animation.step();
+  assert.ok(paths.length > 0);
+  animation.destroy();
+});
@@ -0,0 +1,102 @@
+// A tiny software canvas for headless tests: fillRect, clearRect, drawImage (unscaled, from
+// another Canvas) and getImageData work on real pixels; every other 2D call is ignored, and
+// recorded by name while canvas.calls is an array
+
+function parseFill(style) {
+  let match = /^#([0-9a-f]{6})$/i.exec(style);
+  if (match) {
+    const value = parseInt(match[1], 16);
+    return [value >> 16, (value >> 8) & 255, value & 255, 255];
+  }
+  match = /^rgba?\(([^)]+)\)$/.exec(style);
+  if (match) {
+    const parts = match[1].split(',').map(Number);
+    return [parts[0], parts[1], parts[2], Math.round((parts[3] === undefined ? 1 : parts[3]) * 255)];
+  }
+  return [0, 0, 0, 0];
+}
+
+class Canvas {
+  constructor(width = 300, height = 150) {
+    this.size = { width: width, height: height };
+    this.data = new Uint8ClampedArray(width * height * 4);
+    this.calls = null;
+    this.context = null;
+  }
+
+  get width() {
+    return this.size.width;
+  }
+
+  set width(value) {
+    this.size.width = value;
+    this.data = new Uint8ClampedArray(this.size.width * this.size.height * 4);
+  }
+
+  get height() {
+    return this.size.height;
+  }
+
+  set height(value) {
+    this.size.height = value;
+    this.data = new Uint8ClampedArray(this.size.width * this.size.height * 4);
+  }
+
+  record(name) {
+    if (this.calls) {
+      this.calls.push(name);
+    }
+  }
+
+  toBuffer(type) {
+    return Buffer.from(`${type}:${this.width}x${this.height}`);
+  }
+
+  getContext() {
+    if (this.context) return this.context;
+    const canvas = this;
+    const ctx = {
+      canvas: canvas,
+      fillStyle: '#000000',
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      filter: 'none',
+      font: '10px sans-serif',
+      fillRect(x, y, width, height) {
+        const color = parseFill(this.fillStyle);
+        for (let row = Math.max(0, Math.floor(y)); row < Math.min(canvas.height, y + height); row++) {
+          for (let column = Math.max(0, Math.floor(x)); column < Math.min(canvas.width, x + width); column++) {
+            canvas.data.set(color, (row * canvas.width + column) * 4);
+          }
+        }
+      },
+      clearRect() {
+        canvas.data.fill(0);
+      },
+      drawImage(source) {
+        canvas.record('drawImage');
+        if (!(source instanceof Canvas)) return;
+        for (let i = 0; i < source.data.length && i < canvas.data.length; i += 4) {
+          if (source.data[i + 3] > 0) {
+            canvas.data.set(source.data.subarray(i, i + 4), i);
+          }
+        }
+      },
+      getImageData(x, y, width, height) {
+        return { width: width, height: height, data: new Uint8ClampedArray(canvas.data) };
+      },
+      measureText: (text) => ({ width: String(text).length * 8 }),
+      createLinearGradient: () => ({ addColorStop() {} }),
+      createRadialGradient: () => ({ addColorStop() {} })
+    };
+    this.context = new Proxy(ctx, {
+      get: (target, key) => {
+        if (key in target) return target[key];
+        return () => canvas.record(String(key));
+      }
+    });
+    return this.context;
+  }
+}
+
+module.exports = { Canvas };
@@ -0,0 +1,224 @@
+// A small page for tests of the DOM-facing code: elements with a size, a body, window events,
+// ResizeObserver, custom elements and a requestAnimationFrame queue that frames() runs. It
+// installs globals, so only the test files that need a page require it (each test file runs
+// in a process of its own).
+const { Canvas } = require('./canvas');
+
+// Event listeners by type, shared by elements, the document and the window
+class EventTarget {
+  constructor() {
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners[type] = (this.listeners[type] || []).filter(item => item !== listener);
+  }
+
+  dispatch(type, event = {}) {
+    (this.listeners[type] || []).slice().forEach(listener => listener(event));
+  }
+}
+
+// Tree and layout methods every element has; mixed into Element and the canvas
+const ElementMethods = {
+  appendChild(child) {
+    if (child.parentNode) child.parentNode.removeChild(child);
+    this.children.push(child);
+    child.parentNode = this;
+    return child;
+  },
+  insertBefore(child, anchor) {
+    if (!anchor) return this.appendChild(child);
+    if (child.parentNode) child.parentNode.removeChild(child);
+    this.children.splice(this.children.indexOf(anchor), 0, child);
+    child.parentNode = this;
+    return child;
+  },
+  removeChild(child) {
+    this.children = this.children.filter(item => item !== child);
+    child.parentNode = null;
+    return child;
+  },
+  replaceChild(child, old) {
+    this.children = this.children.map(item => item === old ? child : item);
+    child.parentNode = this;
+    old.parentNode = null;
+    return old;
+  },
+  getBoundingClientRect() {
+    return { left: 0, top: 0, right: this.clientWidth, bottom: this.clientHeight, width: this.clientWidth, height: this.clientHeight };
+  },
+  querySelectorAll() {
+    return [];
+  }
+};
+
+class Element extends EventTarget {
+  constructor(width = 0, height = 0) {
+    super();
+    this.style = {};
+    this.children = [];
+    this.parentNode = null;
+    this.clientWidth = width;
+    this.clientHeight = height;
+    this.attributes = {};
+  }
+
+  hasAttribute(name) {
+    return name in this.attributes;
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttribute(name, value) {
+    const previous = this.getAttribute(name);
+    this.attributes[name] = String(value);
+    if (this.attributeChangedCallback && (this.constructor.observedAttributes || []).indexOf(name) !== -1) {
+      this.attributeChangedCallback(name, previous, String(value));
+    }
+  }
+
+  removeAttribute(name) {
+    const previous = this.getAttribute(name);
+    delete this.attributes[name];
+    if (this.attributeChangedCallback && (this.constructor.observedAttributes || []).indexOf(name) !== -1) {
+      this.attributeChangedCallback(name, previous, null);
+    }
+  }
+}
+Object.assign(Element.prototype, ElementMethods);
+
+// Page elements are laid out as the size of their parent
+class CanvasElement extends Canvas {
+  constructor(width, height) {
+    super(width, height);
+    this.style = {};
+    this.children = [];
+    this.parentNode = null;
+    this.listeners = {};
+  }
+
+  get clientWidth() {
+    return this.parentNode ? this.parentNode.clientWidth : 0;
+  }
+
+  get clientHeight() {
+    return this.parentNode ? this.parentNode.clientHeight : 0;
+  }
+
+  // Only used when a test installs Worker and OffscreenCanvas globals
+  transferControlToOffscreen() {
+    return new Canvas(this.width, this.height);
+  }
+}
+Object.assign(CanvasElement.prototype, ElementMethods, {
+  addEventListener: EventTarget.prototype.addEventListener,
+  removeEventListener: EventTarget.prototype.removeEventListener,
+  dispatch: EventTarget.prototype.dispatch
+});
+
+const body = new Element(1024, 768);
+
+const window = new EventTarget();
+Object.assign(window, {
+  innerWidth: 1024,
+  innerHeight: 768,
+  devicePixelRatio: 1,
+  scrollX: 0,
+  scrollY: 0,
+  getComputedStyle: (element) => ({ position: element.style.position || 'static' })
+});
+
+const document = new EventTarget();
+Object.assign(document, {
+  body: body,
+  hidden: false,
+  baseURI: 'https://example.com/',
+  currentScript: null,
+  createElement: (tag) => tag === 'canvas' ? new CanvasElement() : new Element(),
+  querySelector: (selector) => selector === 'body' ? body : null,
+  querySelectorAll: () => []
+});
+
+// Observers of element sizes; resize() changes an element's size and tells them
+const resizeObservers = [];
+class ResizeObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.targets = [];
+    resizeObservers.push(this);
+  }
+
+  observe(target) {
+    this.targets.push(target);
+  }
+
+  unobserve(target) {
+    this.targets = this.targets.filter(item => item !== target);
+  }
+
+  disconnect() {
+    this.targets = [];
+  }
+}
+
+function resize(element, width, height) {
+  element.clientWidth = width;
+  element.clientHeight = height;
+  resizeObservers.forEach(observer => {
+    if (observer.targets.indexOf(element) === -1) return;
+    observer.callback([{ target: element, contentRect: { width: width, height: height } }], observer);
+  });
+}
+
+// Animation frames run only when the test asks for them, on a clock of their own
+let queue = [];
+let nextFrame = 1;
+let clock = 0;
+
+function requestAnimationFrame(callback) {
+  const id = nextFrame++;
+  queue.push({ id: id, callback: callback });
+  return id;
+}
+
+function cancelAnimationFrame(id) {
+  queue = queue.filter(item => item.id !== id);
+}
+
+function frames(count, interval = 1000 / 60) {
+  for (let i = 0; i < count; i++) {
+    const due = queue;
+    queue = [];
+    clock += interval;
+    due.forEach(item => item.callback(clock));
+  }
+}
+
+const customElementsRegistry = {};
+const customElements = {
+  get: (name) => customElementsRegistry[name],
+  define: (name, constructor) => {
+    customElementsRegistry[name] = constructor;
+  }
+};
+
+Object.assign(global, {
+  window: window,
+  document: document,
+  ResizeObserver: ResizeObserver,
+  requestAnimationFrame: requestAnimationFrame,
+  cancelAnimationFrame: cancelAnimationFrame,
+  Element: Element,
+  HTMLElement: Element,
+  SVGElement: class {},
+  customElements: customElements
+});
+
+module.exports = { Element, body, frames, resize, window, document };
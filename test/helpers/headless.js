@@ -0,0 +1,16 @@
+// Headless instances on the software canvas
+const { Canvas } = require('./canvas');
+const SeasonalAnimation = require('../../src/index.js');
+
+function createHeadless(options = {}) {
+  return new SeasonalAnimation({ canvas: new Canvas(), width: 400, height: 300, seed: 7, ...options });
+}
+
+// Advance the simulation by ms, one fixed step at a time, without drawing
+function run(animation, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += animation.timeStep) {
+    animation.tick(animation.timeStep);
+  }
+}
+
+module.exports = { createHeadless, run, SeasonalAnimation };
@@ -0,0 +1,20 @@
+// Stand-ins for the optional peer dependencies, which aren't installed for the tests:
+// after mockModule(name, exports), require(name) returns exports
+const Module = require('module');
+
+const mocks = {};
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  return mocks[request] ? `mock:${request}` : resolveFilename.call(this, request, ...rest);
+};
+
+function mockModule(name, exports) {
+  mocks[name] = true;
+  const module = new Module(`mock:${name}`);
+  module.exports = exports;
+  module.loaded = true;
+  require.cache[`mock:${name}`] = module;
+  return exports;
+}
+
+module.exports = { mockModule };
@@ -0,0 +1,65 @@
+// Just enough of React for one function component: hooks are kept in call order, effects run
+// after the render (once their dependencies change), and the ref on the returned element is
+// attached before them, as React does when it commits.
+let hooks = [];
+let cursor = 0;
+let pending = [];
+let stale = false;
+
+function useState(initial) {
+  const index = cursor++;
+  if (!(index in hooks)) hooks[index] = initial;
+  const set = (value) => {
+    hooks[index] = typeof value === 'function' ? value(hooks[index]) : value;
+    stale = true;
+  };
+  return [hooks[index], set];
+}
+
+function useRef(initial) {
+  const index = cursor++;
+  if (!(index in hooks)) hooks[index] = { current: initial };
+  return hooks[index];
+}
+
+function useEffect(effect, deps) {
+  const index = cursor++;
+  const previous = hooks[index];
+  if (previous && deps && deps.every((dep, i) => dep === previous.deps[i])) return;
+  pending.push(() => {
+    if (previous && previous.cleanup) previous.cleanup();
+    hooks[index] = { deps: deps, cleanup: effect() };
+  });
+}
+
+function useImperativeHandle(ref, create, deps) {
+  useEffect(() => {
+    if (ref) ref.current = create();
+  }, deps);
+}
+
+const forwardRef = (render) => ({ render: render });
+const createElement = (type, props) => ({ type: type, props: props });
+
+// Render until no state changes are left, like React re-rendering after effects set state
+function render(component, props, { ref = null, host = null } = {}) {
+  let output;
+  do {
+    stale = false;
+    cursor = 0;
+    pending = [];
+    output = component.render ? component.render(props, ref) : component(props);
+    if (output && output.props && output.props.ref) {
+      output.props.ref.current = host;
+    }
+    pending.forEach(run => run());
+  } while (stale);
+  return output;
+}
+
+function unmount() {
+  hooks.forEach(hook => hook && hook.cleanup && hook.cleanup());
+  hooks = [];
+}
+
+module.exports = { useState, useRef, useEffect, useImperativeHandle, forwardRef, createElement, render, unmount };
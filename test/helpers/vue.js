@@ -0,0 +1,73 @@
+// Just enough of Vue 3 for one component: props are resolved with Vue's rules for defaults and
+// Boolean casting, watchers run on every setProps(), and the template ref is set before
+// onMounted hooks.
+let instance = null;
+
+const defineComponent = (component) => component;
+const h = (type, props) => ({ type: type, props: props });
+const ref = (value) => ({ value: value });
+const toRaw = (value) => value;
+const onMounted = (hook) => instance.mounted.push(hook);
+const onBeforeUnmount = (hook) => instance.unmounted.push(hook);
+const watch = (getter, callback) => instance.watchers.push({ getter: getter, callback: callback });
+
+const hyphenate = (name) => name.replace(/\B([A-Z])/g, '-$1').toLowerCase();
+
+// A prop's value the way Vue resolves it from what the parent passed
+function resolveProp(name, definition, passed) {
+  const absent = !(name in passed);
+  let value = passed[name];
+  const hasDefault = 'default' in definition;
+  if (hasDefault && value === undefined) {
+    value = definition.default;
+  }
+  const types = [].concat(definition.type || []);
+  const booleanIndex = types.indexOf(Boolean);
+  if (booleanIndex !== -1) {
+    const stringIndex = types.indexOf(String);
+    if (absent && !hasDefault) {
+      value = false;
+    } else if ((value === '' || value === hyphenate(name)) && (stringIndex === -1 || booleanIndex < stringIndex)) {
+      value = true;
+    }
+  }
+  return value;
+}
+
+function mount(component, passed, host) {
+  let props = {};
+  let passedProps = passed;
+  const resolve = () => {
+    props = {};
+    Object.keys(component.props).forEach(name => {
+      props[name] = resolveProp(name, component.props[name], passedProps);
+    });
+  };
+  resolve();
+  const current = { mounted: [], unmounted: [], watchers: [], exposed: null };
+  instance = current;
+  // setup() keeps reading the same props object, as with Vue's reactive props
+  const live = new Proxy({}, { get: (target, name) => props[name], has: (target, name) => name in props });
+  const renderFunction = component.setup(live, { expose: (value) => { current.exposed = value; } });
+  instance = null;
+  const vnode = renderFunction();
+  vnode.props.ref.value = host;
+  current.mounted.forEach(hook => hook());
+  return {
+    get exposed() {
+      return current.exposed;
+    },
+    props: live,
+    setProps(next) {
+      const previous = current.watchers.map(watcher => watcher.getter());
+      passedProps = next;
+      resolve();
+      current.watchers.forEach((watcher, index) => watcher.callback(watcher.getter(), previous[index]));
+    },
+    unmount() {
+      current.unmounted.forEach(hook => hook());
+    }
+  };
+}
+
+module.exports = { defineComponent, h, ref, toRaw, onMounted, onBeforeUnmount, watch, mount };
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadless } = require('./helpers/headless');
+
+test('layers are checked before anything changes', () => {
+  const animation = createHeadless({ layers: [{ season: 'winter', quantity: 10 }] });
+  const options = animation.options;
+  const layers = animation.layers;
+  assert.throws(() => animation.updateOptions({ season: 'fall', layers: [{ season: 'autumn' }] }),
+    /Invalid option 'layers\[0\]\.season': expected a registered season, got 'autumn'/);
+  assert.throws(() => animation.updateOptions({ layers: [{}, { blur: -1 }] }), /'layers\[1\]\.blur': expected a number >= 0/);
+  assert.throws(() => animation.updateOptions({ layers: [{ depth: Infinity }] }), /'layers\[0\]\.depth'/);
+  assert.throws(() => animation.updateOptions({ layers: [{ quantity: '10' }] }), /'layers\[0\]\.quantity'/);
+  assert.throws(() => animation.updateOptions({ layers: [{ blurr: 2 }] }), /'layers\[0\]': unknown field 'blurr'/);
+  assert.throws(() => createHeadless({ layers: [{ season: 'autumn' }] }), /layers\[0\]\.season/);
+  assert.strictEqual(animation.options, options);
+  assert.strictEqual(animation.layers, layers);
+  // Still usable afterwards
+  animation.updateOptions({ layers: [{ season: 'fall', quantity: 5 }] });
+  assert.strictEqual(animation.layers[0].season, 'fall');
+});
+
+test('zero layer fields are kept rather than defaulted', () => {
+  const animation = createHeadless({ quantity: 40, layers: [{ quantity: 0, speed: 0, opacity: 0, depth: 0, blur: 0 }] });
+  const [layer] = animation.layers;
+  assert.strictEqual(layer.quantity, 0);
+  assert.strictEqual(layer.speed, 0);
+  assert.strictEqual(layer.opacity, 0);
+  assert.strictEqual(layer.depth, 0);
+  assert.strictEqual(layer.season, 'winter');
+});
+
+test('unknown options are rejected', () => {
+  assert.throws(() => createHeadless({ colour: 'red' }), /Unknown option 'colour'/);
+  const animation = createHeadless();
+  assert.throws(() => animation.updateOptions({ sped: 2 }), /Unknown option 'sped'/);
+});
+
+test('seasonDefaults fields are checked by type and range', () => {
+  assert.throws(() => createHeadless({ seasonDefaults: { winter: { palette: 'red' } } }),
+    /'seasonDefaults\.winter\.palette': expected an array of CSS colors or null, got 'red'/);
+  assert.throws(() => createHeadless({ seasonDefaults: { winter: { color: 'not-a-color' } } }), /seasonDefaults\.winter\.color/);
+  assert.throws(() => createHeadless({ seasonDefaults: { fall: { sway: 'yes' } } }), /seasonDefaults\.fall\.sway': expected true or false/);
+  assert.throws(() => createHeadless({ seasonDefaults: { fall: { accumulate: 'heap' } } }), /seasonDefaults\.fall\.accumulate/);
+  assert.throws(() => createHeadless({ seasonDefaults: { rainy: { trailLength: '20' } } }), /seasonDefaults\.rainy\.trailLength': expected a number/);
+  assert.throws(() => createHeadless({ seasonDefaults: { fall: { minSize: 20, maxSize: 10 } } }),
+    /'seasonDefaults\.fall': minSize is larger than maxSize/);
+  // Seasons registered later still get their common fields checked
+  assert.throws(() => createHeadless({ seasonDefaults: { confetti: { opacity: 2 } } }), /seasonDefaults\.confetti\.opacity/);
+  const animation = createHeadless({ seasonDefaults: { winter: { palette: null, minSize: 2, maxSize: 2 }, confetti: { spin: 3 } } });
+  assert.strictEqual(animation.options.seasonDefaults.winter.palette, null);
+});
+
+test('zIndex takes whole numbers or auto', () => {
+  assert.throws(() => createHeadless({ zIndex: 'on top' }), /Invalid option 'zIndex'/);
+  assert.throws(() => createHeadless({ zIndex: 1.5 }), /Invalid option 'zIndex'/);
+  createHeadless({ zIndex: '20' });
+  createHeadless({ zIndex: 'auto' });
+});
+
+test('zero wind and interaction settings are kept', () => {
+  const animation = createHeadless({ wind: { scale: 0, gustFrequency: 0 } });
+  assert.strictEqual(animation.wind.scale, 0);
+  assert.strictEqual(animation.wind.gustFrequency, 0);
+  animation.updateOptions({ interaction: { radius: 0, strength: 0 } });
+  assert.strictEqual(animation.interaction.radius, 0);
+  assert.strictEqual(animation.interaction.strength, 0);
+});
+
+test('updateOptions() rejects options that only a new instance can change', () => {
+  const animation = createHeadless({ seed: 3 });
+  assert.throws(() => animation.updateOptions({ seed: 4 }), /Option 'seed' can only be set when the animation is created/);
+  assert.throws(() => animation.updateOptions({ renderer: 'webgl' }), /Option 'renderer'/);
+  assert.throws(() => animation.updateOptions({ mode: 'container' }), /Option 'mode'/);
+  assert.strictEqual(animation.options.seed, 3);
+  // Passing the current value is fine
+  animation.updateOptions({ seed: 3, quantity: 5 });
+  assert.strictEqual(animation.options.quantity, 5);
+});
+
+test('updateOptions() merges wind with the current wind', () => {
+  const animation = createHeadless({ wind: { x: 1, variation: 0.5 } });
+  animation.setWind(2, 0.5);
+  animation.updateOptions({ wind: { gustStrength: 3 } });
+  assert.strictEqual(animation.wind.x, 2);
+  assert.strictEqual(animation.wind.y, 0.5);
+  assert.strictEqual(animation.wind.variation, 0.5);
+  assert.strictEqual(animation.wind.gustStrength, 3);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadless } = require('./helpers/headless');
+
+// A second of frames with the given work time and interval, in ms
+function frames(animation, work, interval, count = 60) {
+  for (let i = 0; i < count; i++) {
+    animation.measureFrame(work, interval);
+  }
+}
+
+test('a busy page alone does not lower the quality', () => {
+  const animation = createHeadless({ quantity: 10 });
+  frames(animation, 3, 16.7);
+  frames(animation, 3, 40, 120); // Long intervals, but the animation's own work is small
+  assert.strictEqual(animation.quality, 'high');
+});
+
+test('slow frames lower the quality', () => {
+  const animation = createHeadless({ quantity: 10 });
+  frames(animation, 30, 33);
+  assert.strictEqual(animation.quality, 'medium');
+});
+
+test('dropped frames count when the animation takes a good part of the frame', () => {
+  const animation = createHeadless({ quantity: 10 });
+  frames(animation, 14, 16.7);
+  assert.strictEqual(animation.quality, 'high');
+  frames(animation, 14, 33.4);
+  assert.strictEqual(animation.quality, 'medium');
+});
+
+test('quality goes back up after three fast windows', () => {
+  const animation = createHeadless({ quantity: 10 });
+  frames(animation, 30, 33);
+  frames(animation, 2, 16.7, 60 * 3);
+  assert.strictEqual(animation.quality, 'high');
+});
+
+test('adaptiveQuantity still sets the limit and how far down the quality goes', () => {
+  const animation = createHeadless({ quantity: 10, adaptiveQuantity: { maxFrameTime: 10, minScale: 0.5 } });
+  frames(animation, 12, 16.7);
+  assert.strictEqual(animation.quality, 'medium');
+  frames(animation, 30, 33, 60 * 3);
+  assert.strictEqual(animation.quality, 'medium');
+  createHeadless({ adaptiveQuantity: false });
+  assert.throws(() => createHeadless({ adaptiveQuantity: { minScale: 2 } }), /Invalid option 'adaptiveQuantity'/);
+});
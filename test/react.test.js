@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Element, body } = require('./helpers/dom');
+const { mockModule } = require('./helpers/modules');
+
+const React = mockModule('react', require('./helpers/react'));
+const { SeasonalAnimation } = require('../src/react.js');
+
+test.afterEach(() => React.unmount());
+
+function mount(props) {
+  const host = body.appendChild(new Element(500, 200));
+  const ref = { current: null };
+  const output = React.render(SeasonalAnimation, props, { ref: ref, host: host });
+  return { host, ref, output, render: (next) => React.render(SeasonalAnimation, next, { ref: ref, host: host }) };
+}
+
+test('mounts in its div, updates in place and destroys on unmount', () => {
+  const { host, ref, output, render } = mount({ season: 'fall', quantity: 20, mode: 'container', className: 'leaves', children: 'ignored' });
+  assert.strictEqual(output.type, 'div');
+  assert.strictEqual(output.props.className, 'leaves');
+  const animation = ref.current;
+  assert.strictEqual(animation.container, host);
+  assert.strictEqual(animation.isRunning, true);
+  assert.strictEqual(animation.options.quantity, 20);
+
+  render({ season: 'winter', quantity: 20, mode: 'container', className: 'leaves' });
+  assert.strictEqual(ref.current, animation);
+  assert.strictEqual(animation.options.season, 'winter');
+
+  // Creation options need a new instance
+  render({ season: 'winter', quantity: 20, mode: 'container', seed: 5 });
+  const next = ref.current;
+  assert.notStrictEqual(next, animation);
+  assert.strictEqual(animation.isRunning, false);
+  assert.strictEqual(next.options.seed, 5);
+  assert.strictEqual(host.children.length, 1);
+
+  React.unmount();
+  assert.strictEqual(next.isRunning, false);
+  assert.strictEqual(host.children.length, 0);
+});
+
+test('inline function props call the latest function without updating options', () => {
+  const { ref, render } = mount({ season: 'fall', color: () => 'red' });
+  const animation = ref.current;
+  const updates = [];
+  animation.updateOptions = (changes) => updates.push(changes);
+  render({ season: 'fall', color: () => 'blue' });
+  render({ season: 'fall', color: () => 'green' });
+  assert.deepStrictEqual(updates, []);
+  assert.strictEqual(animation.options.color({}), 'green');
+
+  render({ season: 'fall', color: null });
+  assert.deepStrictEqual(updates, [{ color: null }]);
+});
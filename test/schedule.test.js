@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Canvas } = require('./helpers/canvas');
+const { SeasonalAnimation } = require('./helpers/headless');
+
+const { mock } = test;
+const seasonFor = (date, options) => SeasonalAnimation.seasonFor(new Date(date), options);
+
+test('meteorological seasons in both hemispheres', () => {
+  assert.strictEqual(seasonFor('2024-01-15T12:00'), 'winter');
+  assert.strictEqual(seasonFor('2024-04-15T12:00'), 'spring');
+  assert.strictEqual(seasonFor('2024-07-04T12:00'), 'summer');
+  assert.strictEqual(seasonFor('2024-10-31T12:00'), 'fall');
+  assert.strictEqual(seasonFor('2024-02-29T12:00'), 'winter');
+  assert.strictEqual(seasonFor('2024-01-15T12:00', { hemisphere: 'south' }), 'summer');
+  assert.strictEqual(seasonFor('2024-04-15T12:00', { hemisphere: 'south' }), 'fall');
+  assert.strictEqual(seasonFor('2024-07-04T12:00', { hemisphere: 'south' }), 'winter');
+  assert.strictEqual(seasonFor('2024-10-31T12:00', { hemisphere: 'south' }), 'spring');
+});
+
+test('schedule ranges can wrap the new year', () => {
+  const options = { hemisphere: null, schedule: [{ season: 'winter', from: '12-15', to: '01-05' }] };
+  assert.strictEqual(seasonFor('2024-12-15T00:00', options), 'winter');
+  assert.strictEqual(seasonFor('2024-12-31T23:59', options), 'winter');
+  assert.strictEqual(seasonFor('2025-01-05T12:00', options), 'winter');
+  assert.strictEqual(seasonFor('2025-01-06T00:00', options), null);
+  assert.strictEqual(seasonFor('2024-12-14T23:59', options), null);
+});
+
+test('hemisphere and rules are checked up front', () => {
+  assert.throws(() => seasonFor('2024-01-01', { hemisphere: 'east' }), /Invalid hemisphere: expected 'north', 'south' or null, got 'east'/);
+  assert.throws(() => SeasonalAnimation.auto({ hemisphere: 'North' }), /Invalid hemisphere/);
+  assert.throws(() => SeasonalAnimation.auto({ schedule: [{ season: 'winter', from: '12-15', to: '13-01' }] }),
+    /Invalid schedule rule 0: Invalid date '13-01', expected 'MM-DD'/);
+  assert.throws(() => SeasonalAnimation.auto({ schedule: [{ season: 'winter', from: '12-15' }] }), /Invalid schedule rule 0: Invalid date undefined/);
+  assert.throws(() => SeasonalAnimation.auto({ schedule: [{ when: () => true }] }),
+    /Invalid schedule rule 0: expected a registered season or null, got undefined/);
+  assert.throws(() => SeasonalAnimation.auto({ schedule: [{ season: 'snow', when: () => true }] }), /got 'snow'/);
+  assert.throws(() => SeasonalAnimation.auto({ schedule: [{ season: 'fall', when: true }] }), /when must be a function/);
+  assert.throws(() => SeasonalAnimation.auto({ schedule: { season: 'fall' } }), /Invalid schedule: expected an array/);
+});
+
+test('the calendar is checked again every midnight', (t) => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  t.after(() => mock.timers.reset());
+  let date = new Date(2024, 10, 30, 23, 0); // An hour before winter
+  const auto = SeasonalAnimation.auto({
+    canvas: new Canvas(), width: 400, height: 300, quantity: 10,
+    schedule: [{ season: 'spring', from: '12-02', to: '12-02' }],
+    now: () => date
+  });
+  t.after(() => auto.destroy());
+  assert.strictEqual(auto.options.season, 'fall');
+
+  date = new Date(2024, 11, 1);
+  mock.timers.tick(60 * 60 * 1000);
+  assert.strictEqual(auto.options.season, 'winter');
+  // Re-armed for the next midnight
+  date = new Date(2024, 11, 2);
+  mock.timers.tick(24 * 60 * 60 * 1000);
+  assert.strictEqual(auto.options.season, 'spring');
+  assert.strictEqual(auto.isRunning, false);
+});
+
+test('an unchanged season leaves the animation alone', (t) => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  t.after(() => mock.timers.reset());
+  let date = new Date(2024, 0, 10);
+  const auto = SeasonalAnimation.auto({ canvas: new Canvas(), width: 400, height: 300, quantity: 10, now: () => date });
+  t.after(() => auto.destroy());
+  const events = [];
+  ['start', 'stop', 'optionsChange'].forEach(name => auto.on(name, () => events.push(name)));
+  date = new Date(2024, 0, 11);
+  mock.timers.tick(24 * 60 * 60 * 1000);
+  assert.deepStrictEqual(events, []);
+  assert.strictEqual(auto.transition, null);
+
+  // Also after the season was changed by hand and the calendar moved on to it
+  auto.transitionTo('fall', { duration: 1 });
+  auto.tick(auto.timeStep);
+  auto.schedule.rules = [{ season: 'fall', when: () => true }];
+  date = new Date(2024, 0, 12);
+  mock.timers.tick(24 * 60 * 60 * 1000);
+  assert.strictEqual(auto.transition, null);
+  assert.strictEqual(auto.schedule.season, 'fall');
+});
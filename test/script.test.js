@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { Canvas } = require('./helpers/canvas');
+
+const source = (file) => fs.readFileSync(path.join(__dirname, '../src', file), 'utf8');
+
+test('a script tag adds SeasonalAnimation to the page and nothing else', () => {
+  const context = vm.createContext({});
+  context.self = context;
+  const before = Object.keys(context);
+  vm.runInContext(source('index.js'), context);
+  assert.deepStrictEqual(Object.keys(context), before.concat('SeasonalAnimation'));
+  assert.strictEqual(vm.runInContext('typeof parseColor + typeof effects', context), 'undefinedundefined');
+});
+
+test('the element script adds only its function, next to the page\'s own declarations', () => {
+  const defined = {};
+  const context = vm.createContext({
+    HTMLElement: class {},
+    customElements: { get: (name) => defined[name], define: (name, constructor) => { defined[name] = constructor; } },
+    require: () => { throw new Error('An AMD loader, not CommonJS'); }
+  });
+  context.self = context;
+  vm.runInContext('const ATTRIBUTES = {}; function parseAttribute() {}', context);
+  const before = Object.keys(context);
+  vm.runInContext(source('index.js'), context);
+  vm.runInContext(source('element.js'), context);
+  assert.deepStrictEqual(Object.keys(context), before.concat('SeasonalAnimation', 'defineSeasonalAnimationElement'));
+  assert.strictEqual(typeof defined['seasonal-animation'], 'function');
+});
+
+test('the worker script loads the class with importScripts()', () => {
+  const context = vm.createContext({ setTimeout, clearTimeout, performance });
+  const messages = [];
+  Object.assign(context, {
+    self: context,
+    postMessage: (message) => messages.push(message),
+    importScripts: (...files) => files.forEach(file => vm.runInContext(source(file), context))
+  });
+  vm.runInContext(source('worker.js'), context);
+  assert.strictEqual(typeof context.SeasonalAnimation, 'function');
+  context.onmessage({ data: { type: 'init', options: { season: 'fall', quantity: 5 }, canvas: new Canvas(), width: 200, height: 100 } });
+  assert.deepStrictEqual(messages.map(message => message.type), ['ready']);
+  context.onmessage({ data: { type: 'call', method: 'step', args: [] } });
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadless } = require('./helpers/headless');
+
+// Share of sprite lookups answered from the cache over a run of frames, after a warm-up
+function hitRate(animation, frames) {
+  let lookups = 0;
+  let rendered = 0;
+  const cache = animation.sprites;
+  const get = cache.get.bind(cache);
+  cache.get = (key, size, render) => {
+    lookups++;
+    return get(key, size, (ctx) => {
+      rendered++;
+      render(ctx);
+    });
+  };
+  for (let i = 0; i < frames; i++) {
+    animation.step();
+  }
+  return 1 - rendered / lookups;
+}
+
+test('sprites are reused across frames with 500 snowflakes', () => {
+  const animation = createHeadless({ season: 'winter', quantity: 500 });
+  for (let i = 0; i < 120; i++) {
+    animation.step(); // Warm up: each flake turns through its rotation steps
+  }
+  const rate = hitRate(animation, 60);
+  assert.ok(rate > 0.99, `hit rate ${rate}`);
+});
+
+test('the least recently used sprite is dropped first', () => {
+  const animation = createHeadless({ quantity: 0 });
+  const cache = animation.sprites;
+  cache.maxSize = 2;
+  const draw = () => {};
+  const a = cache.get('a', 4, draw);
+  cache.get('b', 4, draw);
+  assert.strictEqual(cache.get('a', 4, draw), a);
+  cache.get('c', 4, draw);
+  assert.deepStrictEqual(Array.from(cache.sprites.keys()), ['a', 'c']);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHeadless, run } = require('./helpers/headless');
+
+test('a transition replaces the old particles with new ones', () => {
+  const animation = createHeadless({ season: 'winter', quantity: 40 });
+  animation.transitionTo('fall', { duration: 1000 });
+  run(animation, 1500);
+  assert.strictEqual(animation.transition, null);
+  assert.strictEqual(animation.particles.length, 40);
+  assert.ok(animation.particles.every(particle => particle.effect === 'fall' && !particle.retired));
+});
+
+test('option changes in quick succession leave no particles behind', () => {
+  const animation = createHeadless({ season: 'summer', quantity: 50 });
+  animation.updateOptions({ size: 5 });
+  run(animation, 10 * animation.timeStep);
+  animation.updateOptions({ size: 6 });
+  run(animation, 5000);
+  assert.strictEqual(animation.particles.filter(particle => particle.retired).length, 0);
+  assert.strictEqual(animation.particles.length, 50);
+});
+
+test('a second transitionTo() fades out both earlier seasons', () => {
+  const animation = createHeadless({ season: 'winter', quantity: 30 });
+  animation.transitionTo('fall', { duration: 1000 });
+  animation.transitionTo('spring', { duration: 1000 });
+  run(animation, 500);
+  // Halfway: the winter particles fade along with the fall ones instead of staying at full strength
+  assert.ok(animation.particles.filter(particle => particle.effect === 'winter').every(particle => particle.fade < 1));
+  run(animation, 1000);
+  assert.strictEqual(animation.particles.length, 30);
+  assert.ok(animation.particles.every(particle => particle.effect === 'spring'));
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Element, body } = require('./helpers/dom');
+const { createApp, nextTick } = require('vue');
+const { SeasonalAnimation } = require('../src/vue.js');
+
+// The component in a real Vue app, with props written in a template and cast by Vue itself
+function mount(template, data = {}) {
+  const warnings = [];
+  const errors = [];
+  const app = createApp({ components: { SeasonalAnimation }, template: template, data: () => data });
+  app.config.warnHandler = (message) => warnings.push(message);
+  app.config.errorHandler = (error) => errors.push(error.message);
+  const root = app.mount(body.appendChild(new Element(400, 300)));
+  return { app, root, warnings, errors };
+}
+
+test('template attributes reach the animation as options', async () => {
+  const { app, root, warnings } = mount(`<SeasonalAnimation ref="animation" mode="container" :season="season"
+    interaction sprites parallax="pointer" reduced-motion="static" :splash="false" :quantity="30" />`, { season: 'fall' });
+  const animation = root.$refs.animation.animation;
+  assert.strictEqual(animation.options.interaction, true);
+  assert.strictEqual(animation.options.sprites, true);
+  assert.strictEqual(animation.options.parallax, 'pointer');
+  assert.strictEqual(animation.options.reducedMotion, 'static');
+  assert.strictEqual(animation.options.splash, false);
+  assert.strictEqual(animation.options.pauseWhenHidden, true);
+  assert.strictEqual(animation.options.accumulation, false);
+
+  root.season = 'winter';
+  await nextTick();
+  assert.strictEqual(root.$refs.animation.animation, animation);
+  assert.strictEqual(animation.options.season, 'winter');
+  assert.deepStrictEqual(warnings, []);
+  app.unmount();
+  assert.strictEqual(animation.isRunning, false);
+});
+
+test('bare attributes are cast to true only for options that accept true', () => {
+  const { app, errors } = mount('<SeasonalAnimation mode="container" parallax />');
+  assert.deepStrictEqual(errors, ["Invalid option 'parallax': expected false, 'scroll' or 'pointer', got ''"]);
+  app.unmount();
+});
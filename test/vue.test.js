@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Element, body } = require('./helpers/dom');
+const { mockModule } = require('./helpers/modules');
+
+const Vue = mockModule('vue', require('./helpers/vue'));
+const { SeasonalAnimation } = require('../src/vue.js');
+
+const mounted = [];
+test.afterEach(() => mounted.splice(0).forEach(component => component.unmount()));
+
+function mount(props) {
+  const component = Vue.mount(SeasonalAnimation, props, body.appendChild(new Element(500, 200)));
+  mounted.push(component);
+  return component;
+}
+
+test('mounts, updates in place and destroys on unmount', () => {
+  const component = mount({ season: 'rainy', quantity: 40, mode: 'container' });
+  const animation = component.exposed.animation;
+  assert.strictEqual(animation.options.season, 'rainy');
+  assert.strictEqual(animation.options.quantity, 40);
+  assert.strictEqual(animation.isRunning, true);
+
+  component.setProps({ season: 'spring', quantity: 40, mode: 'container' });
+  assert.strictEqual(component.exposed.animation, animation);
+  assert.strictEqual(animation.options.season, 'spring');
+
+  component.setProps({ season: 'spring', quantity: 40, mode: 'container', zIndex: 5 });
+  const next = component.exposed.animation;
+  assert.notStrictEqual(next, animation);
+  assert.strictEqual(animation.isRunning, false);
+  assert.strictEqual(next.options.zIndex, 5);
+
+  component.unmount();
+  assert.strictEqual(component.exposed.animation, null);
+  assert.strictEqual(next.isRunning, false);
+});
+
+test('bare boolean props are true, and missing ones keep their defaults', () => {
+  const component = mount({ interaction: '', sprites: '', parallax: 'scroll' });
+  const options = component.exposed.animation.options;
+  assert.strictEqual(options.interaction, true);
+  assert.strictEqual(options.sprites, true);
+  assert.strictEqual(options.parallax, 'scroll');
+  // Not turned into false by Vue's Boolean casting
+  assert.strictEqual(options.pauseWhenHidden, true);
+  assert.strictEqual(options.reducedMotion, 'gentle');
+  assert.strictEqual(options.accumulation, false);
+
+  component.setProps({ interaction: 'attract', sprites: false, parallax: 'scroll', accumulation: '' });
+  const updated = component.exposed.animation.options;
+  assert.strictEqual(updated.interaction, 'attract');
+  assert.strictEqual(updated.sprites, false);
+  assert.strictEqual(updated.accumulation, true);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Canvas } = require('./helpers/canvas');
+const { createHeadless } = require('./helpers/headless');
+
+// WebGL context that records instanced draws and texture uploads. Constants are their own
+// names, and every other call returns a dummy object.
+function createGL(calls, instancing) {
+  const methods = {
+    getShaderParameter: () => true,
+    getProgramParameter: () => true,
+    getAttribLocation: () => 0,
+    getExtension: () => null,
+    drawArraysInstanced: (mode, first, count, instances) => calls.push(['draw', instances]),
+    texImage2D: (target, level, internal, format, type, source) => calls.push(['upload', source])
+  };
+  return new Proxy({}, {
+    get: (target, key) => {
+      if (key === 'drawArraysInstanced' && !instancing) return undefined;
+      if (methods[key]) return methods[key];
+      if (typeof key === 'string' && /^[A-Z0-9_]+$/.test(key)) return key;
+      return () => ({});
+    }
+  });
+}
+
+// Canvas offering WebGL 2, WebGL 1 without instancing, or no WebGL. Like a browser canvas,
+// it has no 2D context once a WebGL one was created.
+class GLCanvas extends Canvas {
+  constructor(width, height, webgl = 'webgl2') {
+    super(width, height);
+    this.webgl = webgl;
+    this.gl = null;
+    this.calls = [];
+  }
+
+  getContext(type) {
+    if (type === '2d') return this.gl ? null : super.getContext();
+    if (type !== this.webgl) return null;
+    this.gl = this.gl || createGL(this.calls, type === 'webgl2');
+    return this.gl;
+  }
+}
+
+const create = (options) => createHeadless({ renderer: 'webgl', width: 200, height: 100, ...options });
+const draws = (canvas) => canvas.calls.filter(call => call[0] === 'draw').map(call => call[1]);
+const uploads = (canvas, source) => canvas.calls.filter(call => call[0] === 'upload' && call[1] === source).length;
+
+test('particles are drawn as one instanced batch', () => {
+  const canvas = new GLCanvas(200, 100);
+  const animation = create({ canvas: canvas, season: 'winter', quantity: 40 });
+  assert.ok(animation.webgl);
+  animation.step();
+  assert.deepStrictEqual(draws(canvas), [40]);
+});
+
+test('the atlas is uploaded only when it gains entries', () => {
+  const canvas = new GLCanvas(200, 100);
+  const animation = create({ canvas: canvas, season: 'rainy', quantity: 30, splash: false });
+  animation.step();
+  assert.strictEqual(uploads(canvas, animation.webgl.atlas), 1);
+  for (let i = 0; i < 10; i++) {
+    animation.step();
+  }
+  // Rain drops share a handful of textures, all drawn on the first frame
+  assert.strictEqual(uploads(canvas, animation.webgl.atlas), 1);
+});
+
+test('large sprites at a high pixel ratio all fit in the atlas', () => {
+  const canvas = new GLCanvas(400, 300);
+  const animation = create({ canvas: canvas, width: 400, height: 300, pixelRatio: 2, season: 'winter', size: 40, quantity: 600 });
+  const drawn = [];
+  for (let i = 0; i < 30; i++) {
+    const before = draws(canvas).length;
+    animation.step();
+    drawn.push(draws(canvas).slice(before).reduce((sum, count) => sum + count, 0));
+  }
+  assert.deepStrictEqual(drawn, new Array(30).fill(600));
+  // Scaled down to fit on the first frame, then not redrawn or uploaded again
+  assert.ok(animation.webgl.atlasScale < 1);
+  assert.strictEqual(uploads(canvas, animation.webgl.atlas), 1);
+});
+
+test('the 2D overlay is uploaded only when it changes', () => {
+  const canvas = new GLCanvas(200, 100);
+  const animation = create({ canvas: canvas, season: 'winter', quantity: 5, accumulation: true });
+  const overlay = animation.ctx.canvas;
+  for (let i = 0; i < 30; i++) {
+    animation.step();
+  }
+  const redraws = uploads(canvas, overlay);
+  assert.ok(redraws >= 1 && redraws < 10, `${redraws} uploads in 30 frames`);
+  // A draw hook can change the overlay on any frame
+  animation.on('afterDraw', () => {});
+  animation.step();
+  animation.step();
+  assert.strictEqual(uploads(canvas, overlay), redraws + 2);
+});
+
+test('falls back to 2D without WebGL', () => {
+  const animation = create({ canvas: new GLCanvas(200, 100, null), quantity: 5 });
+  assert.strictEqual(animation.webgl, null);
+  assert.ok(animation.ctx);
+  animation.step();
+});
+
+test('a passed-in canvas locked to WebGL without instancing gives a clear error', () => {
+  assert.throws(() => create({ canvas: new GLCanvas(200, 100, 'webgl'), quantity: 5 }),
+    /WebGL with instancing isn't available, and the canvas can't fall back to 2D/);
+});
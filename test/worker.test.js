@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Element, body } = require('./helpers/dom');
+const SeasonalAnimation = require('../src/index.js');
+
+// Records what the page posts instead of running worker.js
+class Worker {
+  constructor(url) {
+    this.url = url;
+    this.messages = [];
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {}
+
+  calls() {
+    return this.messages.filter(message => message.type === 'call').map(message => message.method);
+  }
+}
+Object.assign(global, { Worker: Worker, OffscreenCanvas: class {} });
+
+const instances = [];
+test.afterEach(() => instances.splice(0).forEach(animation => animation.destroy()));
+
+function create(options = {}) {
+  const container = body.appendChild(new Element(400, 300));
+  const animation = new SeasonalAnimation({ container: container, mode: 'container', renderer: 'worker', workerUrl: 'worker.js', ...options });
+  instances.push(animation);
+  return animation;
+}
+
+test('updateOptions() starts both sides, as it does without a worker', () => {
+  const animation = create();
+  const worker = animation.worker;
+  worker.messages = [];
+  animation.updateOptions({ quantity: 10 });
+  assert.strictEqual(animation.isRunning, true);
+  assert.deepStrictEqual(worker.calls(), ['updateOptions', 'start']);
+  animation.stop();
+  assert.strictEqual(animation.isRunning, false);
+  assert.deepStrictEqual(worker.calls(), ['updateOptions', 'start', 'stop']);
+});
+
+test('a season arriving at midnight stays stopped on both sides until started', () => {
+  let date = new Date(2026, 0, 31);
+  const container = body.appendChild(new Element(400, 300));
+  const animation = SeasonalAnimation.auto({
+    hemisphere: null,
+    schedule: [{ season: 'winter', from: '02-01', to: '02-28' }],
+    now: () => date,
+    container: container,
+    mode: 'container',
+    renderer: 'worker',
+    workerUrl: 'worker.js'
+  });
+  instances.push(animation);
+  const worker = animation.worker;
+  worker.messages = [];
+  date = new Date(2026, 1, 1);
+  animation.applySchedule();
+  assert.strictEqual(animation.isRunning, false);
+  assert.deepStrictEqual(worker.calls(), ['updateOptions', 'start', 'stop']);
+});